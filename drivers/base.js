@@ -0,0 +1,450 @@
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const { safeLog } = require('../utils/sensitive-data');
+const { getCleanupRules, applyCleanupRules } = require('../utils/html-cleanup');
+const { checkPlayableVideo } = require('../utils/video');
+const { resolveThumbnail } = require('../utils/thumbnail');
+const { absoluteUrl } = require('../utils/url');
+
+/**
+ * Normalized post returned by driver.normalizePost() and consumed by MSNConverter.
+ * type: expected type(s); required: must be present and non-empty.
+ */
+const NORMALIZED_POST_SCHEMA = {
+    title: { type: 'string', required: true },
+    shortTitle: { type: 'string' },
+    description: { type: 'string' },
+    // Required unless isSlideShow: a slideshow that opens with a slide has no body before it
+    content: { type: 'string' },
+    link: { type: 'string', required: true },
+    guid: { type: ['string', 'number'], required: true },
+    pubDate: { type: 'date', required: true },
+    // Last modified date (dcterms:modified); filled from item_modified_at when the driver doesn't set it
+    modified: { type: 'date' },
+    author: { type: 'string' },
+    categories: { type: 'array' },
+    isSlideShow: { type: 'boolean', required: true },
+    // URL string, or an object with a url (MSNConverter accepts both)
+    thumbnail: { type: ['string', 'object'] },
+    featuredImage: { type: ['string', 'object'] },
+    images: { type: 'array', required: true },
+    // Video feeds only (see VIDEO_SCHEMA)
+    video: { type: 'object' }
+};
+
+/**
+ * Slideshow image entry in normalizedPost.images
+ */
+const SLIDE_IMAGE_SCHEMA = {
+    url: { type: 'string', required: true },
+    title: { type: 'string' },
+    text: { type: 'string' },
+    description: { type: 'string' },
+    attribution: { type: 'string' }
+};
+
+/**
+ * normalizedPost.video for the "video" feed type
+ */
+const VIDEO_SCHEMA = {
+    url: { type: 'string', required: true },
+    type: { type: 'string' },
+    duration: { type: 'number' },
+    thumbnail: { type: 'string' },
+    description: { type: 'string' },
+    transcript: { type: 'string' }
+};
+
+/**
+ * Item passed to DatabaseManager.insertItemDirect() during ingestion.
+ * full_content is whatever the driver's fetchContent()/normalizePost() read back.
+ */
+const INGEST_ITEM_SCHEMA = {
+    guid: { type: ['string', 'number'], required: true },
+    content_hash: { type: 'string', required: true },
+    item_published_at: { type: 'date' },
+    item_modified_at: { type: 'date' },
+    metadata: { type: 'object', required: true },
+    full_content: { type: 'object', required: true }
+};
+
+/**
+ * metadata column of an ingested item (used for logging and listings)
+ */
+const INGEST_METADATA_SCHEMA = {
+    id: { type: ['string', 'number'], required: true },
+    title: { type: 'string', required: true },
+    date: { type: 'date' },
+    modified: { type: 'date' },
+    link: { type: 'string' },
+    author: { type: ['string', 'number'] }
+};
+
+/**
+ * Base class for feed drivers
+ * Holds the helpers every driver shares and documents the driver contract:
+ * ingest(config, db), fetchContent(contentHash, config, db) and normalizePost(post, feedType, config).
+ */
+class BaseDriver {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // -------- Driver contract
+
+    /**
+     * Ingest source content into the database
+     * @param {Object} config - Configuration object
+     * @param {Object} db - Database manager instance
+     * @returns {Promise<Object>} { totalIngested, totalNew, pagesProcessed }
+     */
+    async ingest(config, db) {
+        throw new Error(`${this.name} driver does not implement ingest()`);
+    }
+
+    /**
+     * Normalize stored content for feed generation
+     * @param {Object} post - Stored full_content
+     * @param {string} feedType - Feed type (article/slideshow/video)
+     * @param {Object} config - Configuration object
+     * @returns {Object} Normalized post (see NORMALIZED_POST_SCHEMA)
+     */
+    normalizePost(post, feedType = '', config = {}) {
+        throw new Error(`${this.name} driver does not implement normalizePost()`);
+    }
+
+    /**
+     * Fetch full content for a specific item from database
+     * @param {string} contentHash - Content hash for the item
+     * @param {Object} config - Configuration object
+     * @param {Object} db - Database manager instance
+     * @returns {Promise<Object>} Full content object
+     */
+    async fetchContent(contentHash, config, db) {
+        try {
+            safeLog(console.log, `Fetching content from database for hash: ${contentHash}`);
+
+            const dbItem = await db.getItemByHash(contentHash, config.EXTERNAL_FEED_SOURCE);
+            if (!dbItem) {
+                throw new Error(`Content not found in database: ${contentHash}`);
+            }
+
+            // MySQL2 automatically parses JSON fields, so no need to JSON.parse
+            if (dbItem.full_content) {
+                return dbItem.full_content;
+            }
+
+            throw new Error(`No full content stored for hash: ${contentHash}`);
+
+        } catch (error) {
+            console.error(`Error fetching ${this.name} content from database:`, error);
+            throw new Error(`${this.name} content fetch failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check the driver's own settings without fetching anything (run by the validate command)
+     * @param {Object} config - Configuration object
+     * @returns {Array<string>} List of problems (empty if valid)
+     */
+    checkConfig(config = {}) {
+        return [];
+    }
+
+    /**
+     * Check a normalized post against the schema
+     * @param {Object} post - Normalized post
+     * @param {string} feedType - Feed type (video posts must have a playable video)
+     * @returns {Array<string>} List of problems (empty if valid)
+     */
+    validateNormalizedPost(post, feedType = '') {
+        return validateNormalizedPost(post, feedType);
+    }
+
+
+    // -------- Convenient methods
+
+    /**
+     * Strip HTML tags from text using Cheerio
+     * @param {string} html - HTML string
+     * @returns {string} Plain text
+     */
+    stripHtml(html) {
+        if (!html) return '';
+        const $ = cheerio.load(html);
+        return $.text().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Decode HTML entities in text
+     * @param {string} text - Text with HTML entities
+     * @returns {string} Decoded text
+     */
+    decodeHtmlEntities(text) {
+        if (!text) return text;
+
+        const $ = cheerio.load(text);
+        return $.text();
+    }
+
+    /**
+     * Clean HTML content by removing script tags and document wrapper tags
+     * @param {string} htmlContent - Raw HTML content
+     * @returns {string} Cleaned HTML content
+     */
+    cleanHtmlContent(htmlContent) {
+        if (!htmlContent) return htmlContent;
+
+        const $ = cheerio.load(htmlContent);
+
+        $('script').remove();
+
+        return this.unwrapDocument($);
+    }
+
+    /**
+     * Apply the source's HTML_CLEANUP_RULES to a post's content and excerpt before it is stored
+     * The content as it was before the rules is kept in raw_content for the cleanup preview.
+     * @param {Object} post - Cleaned post (full_content)
+     * @param {Object} config - Configuration object (HTML_CLEANUP_RULES)
+     * @returns {Object} The same post, with rules applied
+     */
+    applySourceCleanup(post, config = {}) {
+        const rules = getCleanupRules(config);
+        if (rules.length === 0) return post;
+
+        if (typeof post.content === 'string') {
+            post.raw_content = post.content;
+        }
+
+        ['content', 'excerpt'].forEach(field => {
+            if (typeof post[field] === 'string') {
+                post[field] = applyCleanupRules(post[field], rules);
+            }
+        });
+
+        return post;
+    }
+
+    /**
+     * Set a normalized post's lead image from the first source in THUMBNAIL_FALLBACKS that has one
+     * The post's content and slides are used unless the candidates give other values.
+     * @param {Object} normalized - Normalized post (thumbnail and featuredImage are set in place)
+     * @param {Object} candidates - { featured, og, content } from the stored post
+     * @param {Object} config - Configuration object (THUMBNAIL_FALLBACKS, DEFAULT_THUMBNAIL_URL)
+     * @returns {Object} The same post (thumbnail null if no source had an image)
+     */
+    applyThumbnailFallbacks(normalized, candidates = {}, config = {}) {
+        const resolved = resolveThumbnail({
+            content: normalized.content,
+            slides: normalized.images,
+            ...candidates
+        }, config);
+
+        normalized.thumbnail = resolved ? resolved.url : null;
+        normalized.featuredImage = normalized.thumbnail;
+
+        return normalized;
+    }
+
+    /**
+     * Remove the html/head/body wrapper Cheerio adds and return the markup
+     * @param {Function} $ - Loaded Cheerio document
+     * @returns {string} HTML fragment
+     */
+    unwrapDocument($) {
+        $('head').remove();
+        $('body').contents().unwrap();
+        $('html').contents().unwrap();
+
+        return $.html();
+    }
+
+    /**
+     * Convert a date string to ISO 8601
+     * @param {string} value - Date string from the source
+     * @returns {string|null} ISO date or null if missing/invalid
+     */
+    toIsoDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Wrap a possibly single value in an array (xml2js with explicitArray: false, JSON-LD)
+     * @param {*} value - Value
+     * @returns {Array} Array of values
+     */
+    asArray(value) {
+        if (value === undefined || value === null) return [];
+        return Array.isArray(value) ? value : [value];
+    }
+
+    /**
+     * Read a scalar value as text: a string or number, an xml2js node ({ _: text, $: attrs }), or the first of a list
+     * @param {*} value - Value
+     * @returns {string} Text content or empty string
+     */
+    text(value) {
+        if (value === undefined || value === null) return '';
+        if (Array.isArray(value)) return this.text(value[0]);
+        if (typeof value === 'object') return typeof value._ === 'string' ? value._ : '';
+        return String(value);
+    }
+
+    /**
+     * Resolve a possibly relative URL against a base URL
+     * @param {string} url - URL or path
+     * @param {string} baseUrl - Base URL
+     * @returns {string} Absolute URL
+     */
+    absoluteUrl(url, baseUrl) {
+        return absoluteUrl(url, baseUrl);
+    }
+
+    /**
+     * Generate hash for content tracking
+     * Namespaced by driver name so ids from different platforms never collide
+     * @param {string} guid - Unique identifier
+     * @returns {string} SHA256 hash
+     */
+    generateHash(guid) {
+        return crypto
+            .createHash('sha256')
+            .update(`${this.name}:${guid}`)
+            .digest('hex');
+    }
+}
+
+/**
+ * Check a normalized post against NORMALIZED_POST_SCHEMA
+ * Usable for drivers that don't extend BaseDriver (e.g. plugins).
+ * @param {Object} post - Normalized post
+ * @param {string} feedType - Feed type (video posts must have a playable video)
+ * @returns {Array<string>} List of problems (empty if valid)
+ */
+function validateNormalizedPost(post, feedType = '') {
+    if (!post || typeof post !== 'object') {
+        return ['normalized post is not an object'];
+    }
+
+    const problems = validateFields(post, NORMALIZED_POST_SCHEMA, '');
+
+    if (post.isSlideShow !== true && (post.content === undefined || post.content === null || post.content === '')) {
+        problems.push('content is required');
+    }
+
+    if (Array.isArray(post.categories)) {
+        post.categories.forEach((category, index) => {
+            if (typeof category !== 'string') {
+                problems.push(`categories[${index}] must be a string`);
+            }
+        });
+    }
+
+    if (Array.isArray(post.images)) {
+        post.images.forEach((image, index) => {
+            if (!image || typeof image !== 'object') {
+                problems.push(`images[${index}] must be an object`);
+                return;
+            }
+            problems.push(...validateFields(image, SLIDE_IMAGE_SCHEMA, `images[${index}].`));
+        });
+    }
+
+    if (post.video && typeof post.video === 'object') {
+        problems.push(...validateFields(post.video, VIDEO_SCHEMA, 'video.'));
+    }
+
+    if (String(feedType).toLowerCase() === 'video') {
+        const playableProblem = checkPlayableVideo(post.video);
+        if (playableProblem) {
+            problems.push(`video feed item has no playable video: ${playableProblem}`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Check an ingest item (insertItemDirect argument) against INGEST_ITEM_SCHEMA
+ * @param {Object} item - Item passed to insertItemDirect
+ * @returns {Array<string>} List of problems (empty if valid)
+ */
+function validateIngestItem(item) {
+    if (!item || typeof item !== 'object') {
+        return ['ingest item is not an object'];
+    }
+
+    const problems = validateFields(item, INGEST_ITEM_SCHEMA, '');
+
+    if (item.content_hash && !/^[0-9a-f]{64}$/.test(item.content_hash)) {
+        problems.push('content_hash must be a SHA256 hex digest');
+    }
+
+    if (item.metadata && typeof item.metadata === 'object') {
+        problems.push(...validateFields(item.metadata, INGEST_METADATA_SCHEMA, 'metadata.'));
+    }
+
+    return problems;
+}
+
+/**
+ * Check an object's fields against a schema
+ * Optional fields may be null or undefined; required fields must be present and non-empty.
+ * @param {Object} value - Object to check
+ * @param {Object} schema - Field schema ({ field: { type, required } })
+ * @param {string} prefix - Field name prefix for messages
+ * @returns {Array<string>} List of problems
+ */
+function validateFields(value, schema, prefix) {
+    const problems = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const fieldValue = value[field];
+        const name = `${prefix}${field}`;
+
+        if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+            if (rule.required) {
+                problems.push(`${name} is required`);
+            }
+            continue;
+        }
+
+        const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+        if (!types.some(type => matchesType(fieldValue, type))) {
+            problems.push(`${name} must be ${types.join(' or ')}`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Check a value against a schema type
+ * @param {*} value - Value to check
+ * @param {string} type - 'string', 'number', 'boolean', 'array', 'object' or 'date'
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value);
+        case 'date':
+            return (typeof value === 'string' || value instanceof Date) && !isNaN(new Date(value).getTime());
+        default:
+            return typeof value === type;
+    }
+}
+
+module.exports = {
+    BaseDriver,
+    NORMALIZED_POST_SCHEMA,
+    VIDEO_SCHEMA,
+    INGEST_ITEM_SCHEMA,
+    validateNormalizedPost,
+    validateIngestItem
+};
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+
+/**
+ * Driver conformance kit
+ * Runs a driver against a recorded fixture (no network, no MySQL) and checks that it honours
+ * the driver contract and produces valid MSN items.
+ *
+ * Usage:
+ *   node drivers/conformance.js                  (every fixture in fixtures/)
+ *   node drivers/conformance.js <fixture.json> [more fixtures...]
+ *   node drivers/conformance.js --record <config.json> <fixture.json>
+ *
+ * Fixture format:
+ *   {
+ *     "description": "Den of Geek articles, page 1",
+ *     "platform": "wordpress",                      // EXTERNAL_FEED_PLATFORM
+ *     "feedType": "article",                        // EXTERNAL_FEED_TYPE
+ *     "config": { "EXTERNAL_FEED_URL": "https://example.com" },
+ *     "responses": [                                // first exact match, else first substring match wins
+ *       { "match": "https://example.com/wp-json/wp/v2/posts", "status": 200,
+ *         "headers": { "content-type": "application/json" }, "body": [ ... ] }
+ *     ],
+ *     "expect": {                                   // optional
+ *       "items": 20,                                // items ingested
+ *       "dropped": 0,                               // items the feed validator drops (default 0)
+ *       "contains": ["<iframe src="],               // strings the MSN feed must contain
+ *       "excludes": ["<script"]                     // strings it must not contain
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const { getFeedDriver, validateDriver } = require('./index');
+const { validateNormalizedPost, validateIngestItem } = require('./base');
+const MSNConverter = require('../utils/msn-converter');
+const { sanitizePost } = require('../utils/msn-sanitizer');
+const { getValidationOptions, validateFeed, formatReport } = require('../utils/feed-validator');
+const DatabaseManager = require('../utils/database');
+const httpClient = require('../utils/http');
+const { maskSensitiveData } = require('../utils/sensitive-data');
+
+// Fixtures replayed when no files are given
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Response headers that don't survive recording (the body is stored decoded)
+const SKIPPED_HEADERS = ['set-cookie', 'content-encoding', 'content-length', 'transfer-encoding', 'connection'];
+
+/**
+ * In-memory stand-in for DatabaseManager covering the methods drivers use during ingestion
+ */
+class MemoryDatabase {
+    constructor() {
+        this.items = new Map();
+        this.state = new Map();
+        this.problems = [];
+    }
+
+    async isNewSource(config) {
+        return this.items.size === 0;
+    }
+
+    async getSourceState(config, key) {
+        return this.state.has(key) ? this.state.get(key) : null;
+    }
+
+    async setSourceState(config, key, value) {
+        this.state.set(key, value);
+    }
+
+    async getItemByHash(contentHash, source) {
+        return this.items.get(contentHash) || null;
+    }
+
+    hasDifferentModifiedTime(incoming, stored) {
+        return DatabaseManager.prototype.hasDifferentModifiedTime(incoming, stored);
+    }
+
+    async insertItemDirect(item, config) {
+        validateIngestItem(item).forEach(problem => {
+            this.problems.push(`ingest item ${item && item.guid}: ${problem}`);
+        });
+
+        const isNew = !this.items.has(item.content_hash);
+
+        // Round-trip through JSON like the MySQL JSON columns do
+        this.items.set(item.content_hash, {
+            ...JSON.parse(JSON.stringify(item)),
+            source: config.EXTERNAL_FEED_SOURCE,
+            status: 'pending'
+        });
+
+        return isNew;
+    }
+}
+
+/**
+ * Run a driver against a fixture and check the results
+ * @param {Object} driver - Driver object
+ * @param {Object} fixture - Parsed fixture (see file header)
+ * @returns {Promise<Object>} Report ({ driver, description, passed, problems, items, ingestResult })
+ */
+async function runConformance(driver, fixture) {
+    const report = {
+        driver: driver && driver.name,
+        description: fixture.description || '',
+        passed: false,
+        problems: [],
+        items: [],
+        ingestResult: null
+    };
+
+    const interfaceProblems = validateDriver(driver);
+    if (interfaceProblems.length > 0) {
+        report.problems.push(...interfaceProblems.map(problem => `driver interface: ${problem}`));
+        return report;
+    }
+
+    const config = buildConfig(fixture);
+    const db = new MemoryDatabase();
+    const unrecorded = [];
+    const originalFetch = global.fetch;
+
+    global.fetch = createReplayFetch(fixture.responses || [], unrecorded);
+    httpClient.configure({ HTTP_MAX_RETRIES: 0 });
+    httpClient.useCache(null);
+
+    try {
+        // 1. Ingestion
+        try {
+            report.ingestResult = await driver.ingest(config, db);
+        } catch (error) {
+            report.problems.push(`ingest() threw: ${error.message}`);
+            return report;
+        }
+
+        ['totalIngested', 'totalNew', 'pagesProcessed'].forEach(field => {
+            if (!report.ingestResult || typeof report.ingestResult[field] !== 'number') {
+                report.problems.push(`ingest() result is missing numeric "${field}"`);
+            }
+        });
+
+        report.problems.push(...db.problems);
+        unrecorded.forEach(url => report.problems.push(`unrecorded request: ${url}`));
+
+        if (db.items.size === 0 && !(fixture.expect && fixture.expect.items === 0)) {
+            report.problems.push('no items were ingested');
+        }
+
+        // 2. Normalization
+        const posts = [];
+        for (const [contentHash, item] of db.items) {
+            const itemReport = { guid: item.guid, title: item.metadata && item.metadata.title, problems: [] };
+
+            try {
+                const fullContent = await driver.fetchContent(contentHash, config, db);
+                const post = driver.normalizePost(fullContent, config.EXTERNAL_FEED_TYPE, config);
+
+                itemReport.problems.push(...validateNormalizedPost(post, config.EXTERNAL_FEED_TYPE));
+
+                if (config.EXTERNAL_FEED_TYPE === 'slideshow' && post && (!post.isSlideShow || !post.images || post.images.length === 0)) {
+                    itemReport.problems.push('slideshow feed produced a post without slides');
+                }
+
+                if (itemReport.problems.length === 0) {
+                    // Same markup sanitizing as a real run before the MSN feed is built
+                    posts.push(sanitizePost(post, config).post);
+                }
+            } catch (error) {
+                itemReport.problems.push(`fetchContent()/normalizePost() threw: ${error.message}`);
+            }
+
+            report.items.push(itemReport);
+        }
+
+        // 3. MSN output
+        const expect = fixture.expect || {};
+        let xml = null;
+        try {
+            xml = MSNConverter.convertToMSN(config.EXTERNAL_FEED_URL, posts, { siteName: 'Conformance' });
+            const parsed = await xml2js.parseStringPromise(xml, { explicitArray: false });
+            const channelItems = parsed.rss && parsed.rss.channel && parsed.rss.channel.item;
+            const count = channelItems ? (Array.isArray(channelItems) ? channelItems.length : 1) : 0;
+
+            if (count !== posts.length) {
+                report.problems.push(`MSN feed has ${count} items, expected ${posts.length}`);
+            }
+        } catch (error) {
+            report.problems.push(`MSN feed is not valid XML: ${error.message}`);
+            xml = null;
+        }
+
+        // 4. Feed validation, with the source's rules as a real run applies them before publishing
+        if (xml) {
+            const validation = await validateFeed(xml, getValidationOptions(config));
+            const expectedDrops = typeof expect.dropped === 'number' ? expect.dropped : 0;
+
+            if (validation.abort || validation.dropIndexes.length !== expectedDrops) {
+                report.problems.push(validation.abort
+                    ? 'feed validation aborted the publish'
+                    : `feed validation dropped ${validation.dropIndexes.length} items, expected ${expectedDrops}`);
+                report.problems.push(...formatReport(validation).map(line => `feed validation ${line}`));
+            }
+
+            (expect.contains || []).forEach(expected => {
+                if (!xml.includes(expected)) {
+                    report.problems.push(`MSN feed does not contain ${JSON.stringify(expected)}`);
+                }
+            });
+            (expect.excludes || []).forEach(unexpected => {
+                if (xml.includes(unexpected)) {
+                    report.problems.push(`MSN feed contains ${JSON.stringify(unexpected)}`);
+                }
+            });
+        }
+
+        // 5. Fixture expectations
+        if (typeof expect.items === 'number' && db.items.size !== expect.items) {
+            report.problems.push(`expected ${expect.items} items, ingested ${db.items.size}`);
+        }
+
+        const invalidItems = report.items.filter(item => item.problems.length > 0).length;
+        report.passed = report.problems.length === 0 && invalidItems === 0;
+        return report;
+
+    } finally {
+        global.fetch = originalFetch;
+        httpClient.configure({});
+    }
+}
+
+/**
+ * Run a driver against the live source and save every response as a fixture
+ * @param {Object} driver - Driver object
+ * @param {Object} config - Configuration object (as loaded by ConfigLoader)
+ * @param {string} outputPath - Fixture file to write
+ * @returns {Promise<Object>} The written fixture
+ */
+async function recordFixture(driver, config, outputPath) {
+    const responses = [];
+    const originalFetch = global.fetch;
+
+    global.fetch = async (url, options) => {
+        const response = await originalFetch(url, options);
+        const headers = {};
+        response.headers.forEach((value, name) => {
+            if (!SKIPPED_HEADERS.includes(name)) headers[name] = value;
+        });
+
+        // Credentials in query strings are masked; replay matches on the masked URL too
+        responses.push({
+            match: maskSensitiveData(url),
+            status: response.status,
+            headers: headers,
+            body: await response.clone().text()
+        });
+
+        return response;
+    };
+    httpClient.useCache(null);
+
+    try {
+        await driver.ingest({ ...config, INGEST_FULL_CRAWL: true }, new MemoryDatabase());
+    } finally {
+        global.fetch = originalFetch;
+    }
+
+    const fixture = {
+        description: `${config.EXTERNAL_FEED_SOURCE} ${config.EXTERNAL_FEED_TYPE} (recorded ${new Date().toISOString()})`,
+        platform: config.EXTERNAL_FEED_PLATFORM,
+        feedType: config.EXTERNAL_FEED_TYPE,
+        config: pickSourceConfig(config),
+        responses: responses
+    };
+
+    fs.writeFileSync(outputPath, JSON.stringify(fixture, null, 2));
+    return fixture;
+}
+
+/**
+ * Build the run configuration for a fixture
+ * @param {Object} fixture - Parsed fixture
+ * @returns {Object} Configuration object
+ */
+function buildConfig(fixture) {
+    return {
+        EXTERNAL_FEED_SOURCE: 'conformance',
+        EXTERNAL_FEED_PLATFORM: fixture.platform,
+        EXTERNAL_FEED_TYPE: fixture.feedType || 'article',
+        EXTERNAL_FEED_URL: 'https://example.com',
+        ...(fixture.config || {})
+    };
+}
+
+/**
+ * Keep the settings a fixture needs to replay, dropping credentials and infrastructure
+ * @param {Object} config - Full configuration object
+ * @returns {Object} Source settings
+ */
+function pickSourceConfig(config) {
+    const dropped = /TOKEN|KEY|PASSWORD|SECRET|USERNAME|^DB_|^AWS_|^S3_|^CLOUDFRONT_|^SLACK_/;
+    const picked = {};
+
+    for (const [key, value] of Object.entries(config)) {
+        if (value !== undefined && value !== null && value !== '' && !dropped.test(key)) {
+            picked[key] = value;
+        }
+    }
+
+    return picked;
+}
+
+/**
+ * Create a fetch replacement that answers from recorded responses
+ * @param {Array<Object>} responses - Recorded responses ({ match, status, headers, body })
+ * @param {Array<string>} unrecorded - Collects URLs with no recorded response
+ * @returns {Function} fetch-compatible function
+ */
+function createReplayFetch(responses, unrecorded) {
+    return async (url) => {
+        const masked = maskSensitiveData(url);
+        const entry = responses.find(response => response.match === url || response.match === masked)
+            || responses.find(response => url.includes(response.match) || masked.includes(response.match));
+
+        if (!entry) {
+            unrecorded.push(masked);
+            return new Response('Not recorded', { status: 404, statusText: 'Not Recorded' });
+        }
+
+        const body = typeof entry.body === 'string' ? entry.body : JSON.stringify(entry.body);
+        return new Response(body, {
+            status: entry.status || 200,
+            headers: entry.headers || {}
+        });
+    };
+}
+
+/**
+ * Print a conformance report
+ * @param {string} fixturePath - Fixture file
+ * @param {Object} report - Report from runConformance
+ */
+function printReport(fixturePath, report) {
+    console.log(`\n${report.passed ? '✅' : '❌'} ${report.driver} — ${fixturePath}${report.description ? ` (${report.description})` : ''}`);
+    report.problems.forEach(problem => console.log(`   - ${problem}`));
+    report.items
+        .filter(item => item.problems.length > 0)
+        .forEach(item => console.log(`   - item ${item.guid} "${item.title}": ${item.problems.join('; ')}`));
+    console.log(`   ${report.items.length} items checked, ${report.items.filter(item => item.problems.length === 0).length} valid`);
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args[0] === '--record') {
+        const [configFile, outputPath] = args.slice(1);
+        if (!configFile || !outputPath) {
+            console.log('Usage: node drivers/conformance.js --record <config.json> <fixture.json>');
+            process.exit(1);
+        }
+
+        const ConfigLoader = require('../utils/config-loader');
+        const config = await new ConfigLoader().loadConfig(configFile);
+        const driver = getFeedDriver(config.EXTERNAL_FEED_PLATFORM, config);
+        if (!driver) {
+            throw new Error(`Unsupported feed platform: ${config.EXTERNAL_FEED_PLATFORM}`);
+        }
+
+        const fixture = await recordFixture(driver, config, outputPath);
+        console.log(`✅ Recorded ${fixture.responses.length} responses to ${outputPath}`);
+        return;
+    }
+
+    const fixturePaths = args.length > 0
+        ? args
+        : fs.readdirSync(FIXTURES_DIR)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => path.relative(process.cwd(), path.join(FIXTURES_DIR, file)));
+
+    if (fixturePaths.length === 0) {
+        console.log(`No fixtures found in ${FIXTURES_DIR}`);
+        console.log('Usage: node drivers/conformance.js [fixture.json...]');
+        console.log('       node drivers/conformance.js --record <config.json> <fixture.json>');
+        process.exit(1);
+    }
+
+    let failed = 0;
+    for (const fixturePath of fixturePaths) {
+        const fixture = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+        const driver = getFeedDriver(fixture.platform, buildConfig(fixture));
+        if (!driver) {
+            console.log(`\n❌ ${fixturePath}: no driver for platform "${fixture.platform}"`);
+            failed++;
+            continue;
+        }
+
+        const report = await runConformance(driver, fixture);
+        printReport(fixturePath, report);
+        if (!report.passed) failed++;
+    }
+
+    console.log(`\n${fixturePaths.length - failed}/${fixturePaths.length} fixtures passed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if executed directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Conformance run failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    MemoryDatabase,
+    runConformance,
+    recordFixture
+};
@@ -0,0 +1,489 @@
+const cheerio = require('cheerio');
+const { safeLog } = require('../utils/sensitive-data');
+const { getAuthStrategy, applyAuth, assertAuthorized } = require('../utils/auth');
+const httpClient = require('../utils/http');
+const { BaseDriver } = require('./base');
+
+// Image field on the media entity when DRUPAL_IMAGE_FIELD references media rather than a file
+const DEFAULT_MEDIA_IMAGE_FIELD = 'field_media_image';
+
+class DrupalDriver extends BaseDriver {
+    constructor() {
+        super('Drupal');
+        this.supportedFormats = ['jsonapi'];
+        this.postsPerPage = 20; // Hard-coded for now
+        this.maxPages = 500; // Guard against links.next loops
+    }
+
+    // -------- Fetch from DB methods
+
+    /**
+     * Normalize Drupal node for feed generation
+     * @param {Object} post - Stored Drupal node (see cleanPostContent)
+     * @param {string} feedType - Feed type (article/slideshow)
+     * @param {Object} config - Configuration object (lead image fallbacks)
+     * @returns {Object} Normalized post object
+     */
+    normalizePost(post, feedType = '', config = {}) {
+        const parsedContent = this.parseContent(post.content, feedType);
+
+        const normalized = {
+            title: post.title,
+            shortTitle: post.title,
+            description: post.excerpt,
+            content: parsedContent.content,
+            link: post.link,
+            guid: post.guid,
+            pubDate: post.date,
+            author: post.author,
+            categories: post.categories || [],
+            isSlideShow: parsedContent.isSlideShow,
+            thumbnail: post.thumbnail,
+            featuredImage: post.thumbnail,
+            images: parsedContent.images
+        };
+
+        return this.applyThumbnailFallbacks(normalized, { featured: post.thumbnail, content: post.content }, config);
+    }
+
+    /**
+     * Parse Drupal body based on explicit feed type
+     * Slideshows treat every image in the body as a slide, titled by the heading that follows it.
+     * @param {string} content - Cleaned HTML body
+     * @param {string} feedType - The EXTERNAL_FEED_TYPE ("slideshow" or "article")
+     * @returns {Object} Parsed content with type and structured data
+     */
+    parseContent(content, feedType = '') {
+        if (!content) {
+            return {
+                content: '',
+                isSlideShow: false,
+                images: []
+            };
+        }
+
+        const isSlideShow = feedType.toLowerCase() === 'slideshow';
+
+        if (!isSlideShow) {
+            return {
+                content: content,
+                isSlideShow: false,
+                images: []
+            };
+        }
+
+        const $ = cheerio.load(content);
+        const images = [];
+
+        $('img').each((index, imgElement) => {
+            const $img = $(imgElement);
+            const imageUrl = $img.attr('src') || $img.attr('data-src') || null;
+            if (!imageUrl) return;
+
+            const $block = $img.closest('figure').length > 0 ? $img.closest('figure') : $img;
+            const $heading = $block.nextAll('h2, h3').first();
+
+            images.push({
+                url: imageUrl,
+                title: $heading.text().trim(),
+                text: $heading.nextUntil('figure, img, h2, h3').map((i, el) => $(el).prop('outerHTML')).get().join(''),
+                description: $img.attr('alt') || 'Image Provided by Source',
+                attribution: $block.find('figcaption').text().trim()
+            });
+        });
+
+        const $firstImage = $('figure, img').first();
+        const introContent = $firstImage.length > 0
+            ? $firstImage.prevAll().map((i, el) => $(el).prop('outerHTML')).get().reverse().join('')
+            : $.html();
+
+        return {
+            content: this.stripHtml(introContent),
+            isSlideShow: true,
+            images: images
+        };
+    }
+
+
+    // -------- Ingesting methods (from Drupal JSON:API)
+
+    /**
+     * Ingest Drupal nodes, following links.next pagination
+     * Nodes are listed most recently changed first; existing sources stop at the first node
+     * not changed since the stored high-water mark (new sources and INGEST_FULL_CRAWL walk every page).
+     * @param {Object} config - Configuration object
+     * @param {Object} db - Database manager instance
+     * @returns {Promise<Object>} Object with ingested count and new count
+     */
+    async ingest(config, db) {
+        try {
+            safeLog(console.log, `Ingesting Drupal nodes from: ${config.EXTERNAL_FEED_URL}`);
+
+            const isNewSource = await db.isNewSource(config);
+            const forceFullCrawl = config.INGEST_FULL_CRAWL === 'true' || config.INGEST_FULL_CRAWL === true;
+            const storedHighWaterMark = await db.getSourceState(config, 'high_water_mark');
+            const changedAfter = (isNewSource || forceFullCrawl) ? null : storedHighWaterMark;
+
+            if (changedAfter) {
+                console.log(`Incremental crawl: nodes changed after ${changedAfter}`);
+            } else {
+                console.log(`Full crawl: ${forceFullCrawl ? 'requested' : (isNewSource ? 'new source' : 'no high-water mark stored')}`);
+            }
+
+            let totalIngested = 0;
+            let totalNew = 0;
+            let pagesProcessed = 0;
+            let highWaterMark = storedHighWaterMark;
+            let reachedMark = false;
+            let includeMedia = Boolean(config.DRUPAL_MEDIA_IMAGE_FIELD);
+            let nextUrl = this.buildNodesUrl(config.EXTERNAL_FEED_URL, config, includeMedia);
+
+            while (nextUrl && pagesProcessed < this.maxPages) {
+                const { nodes, included, next } = await this.fetchNodes(nextUrl, config);
+
+                // The media's file is only included when asked for, and including it for a plain file field is an error,
+                // so the first page is fetched again once its nodes show the image field points at media
+                if (!includeMedia && pagesProcessed === 0 && this.referencesMedia(nodes, config)) {
+                    console.log(`${config.DRUPAL_IMAGE_FIELD || 'field_image'} references media, fetching again with its file included`);
+                    includeMedia = true;
+                    nextUrl = this.buildNodesUrl(config.EXTERNAL_FEED_URL, config, includeMedia);
+                    continue;
+                }
+                pagesProcessed++;
+
+                const includedIndex = this.indexIncluded(included);
+
+                for (const node of nodes) {
+                    const changed = node.attributes && node.attributes.changed;
+
+                    // Everything from here on is older still: stored on an earlier run
+                    if (changedAfter && changed && !this.isChangedAfter(changed, changedAfter)) {
+                        reachedMark = true;
+                        break;
+                    }
+                    if (changed && (!highWaterMark || this.isChangedAfter(changed, highWaterMark))) {
+                        highWaterMark = changed;
+                    }
+
+                    const cleanedPost = this.cleanPostContent(node, includedIndex, config);
+
+                    const item = {
+                        guid: cleanedPost.guid,
+                        content_hash: this.generateHash(cleanedPost.guid),
+                        item_published_at: cleanedPost.date,
+                        item_modified_at: cleanedPost.modified,
+                        metadata: {
+                            id: cleanedPost.id,
+                            title: cleanedPost.title,
+                            date: cleanedPost.date,
+                            modified: cleanedPost.modified,
+                            link: cleanedPost.link,
+                            author: cleanedPost.author
+                        },
+                        // JSON:API provides the full body and relationships in listing, so store it (cleaned)
+                        full_content: this.applySourceCleanup(cleanedPost, config)
+                    };
+
+                    const wasInserted = await db.insertItemDirect(item, config);
+                    if (wasInserted) {
+                        totalNew++;
+                    }
+                    totalIngested++;
+                }
+
+                console.log(`Page ${pagesProcessed}: ${nodes.length} nodes processed, ${totalNew} new items so far`);
+
+                nextUrl = next && next !== nextUrl && !reachedMark ? next : null;
+            }
+
+            // Newest-first, so the mark is only recorded once every page is stored
+            if (highWaterMark && highWaterMark !== storedHighWaterMark) {
+                await db.setSourceState(config, 'high_water_mark', highWaterMark);
+                console.log(`High-water mark advanced to ${highWaterMark}`);
+            }
+
+            console.log(`✅ Ingestion complete: ${totalIngested} total, ${totalNew} new items`);
+            return {
+                totalIngested,
+                totalNew,
+                pagesProcessed,
+                incremental: Boolean(changedAfter)
+            };
+
+        } catch (error) {
+            console.error('Error ingesting Drupal nodes:', error);
+            throw new Error(`Drupal ingestion failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compare two node changed times
+     * @param {string|number} changed - Node changed time (RFC 3339, or a Unix timestamp on older sites)
+     * @param {string|number} mark - High-water mark, in the same form
+     * @returns {boolean} True if changed is later than mark
+     */
+    isChangedAfter(changed, mark) {
+        const toTime = value => (/^\d+$/.test(String(value)) ? Number(value) * 1000 : new Date(value).getTime());
+        return toTime(changed) > toTime(mark);
+    }
+
+    /**
+     * Build the first-page JSON:API collection URL for the configured bundle
+     * @param {string} baseUrl - Base URL of the Drupal site
+     * @param {Object} config - Configuration object with API settings
+     * @param {boolean} includeMedia - Also include the media entity's image file
+     * @returns {string} Collection URL
+     */
+    buildNodesUrl(baseUrl, config, includeMedia = Boolean(config.DRUPAL_MEDIA_IMAGE_FIELD)) {
+        const bundle = config.DRUPAL_BUNDLE || 'article';
+        const authorField = config.DRUPAL_AUTHOR_FIELD || 'uid';
+        const imageField = config.DRUPAL_IMAGE_FIELD || 'field_image';
+        const filterParam = config.DRUPAL_API_POSTS_FILTER || '';
+        const filterValue = config.DRUPAL_API_POSTS_FILTER_VALUE || '';
+
+        const include = [authorField, ...this.getTaxonomyFields(config), imageField];
+        if (includeMedia) {
+            include.push(`${imageField}.${this.getMediaImageField(config)}`);
+        }
+
+        let queryParams = {
+            'include': include.join(','),
+            'sort': '-changed',
+            'page[limit]': this.postsPerPage,
+            'filter[status]': 1
+        };
+
+        // e.g. DRUPAL_API_POSTS_FILTER=field_tags.name, DRUPAL_API_POSTS_FILTER_VALUE=MSN
+        if (filterParam && filterValue) {
+            queryParams[`filter[${filterParam}]`] = filterValue;
+        }
+
+        let apiUrl = [];
+        for (const [key, value] of Object.entries(queryParams)) {
+            apiUrl.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+        }
+        return `${baseUrl}/jsonapi/node/${encodeURIComponent(bundle)}?${apiUrl.join('&')}`;
+    }
+
+    /**
+     * Fetch one page of nodes from Drupal JSON:API
+     * @param {string} apiUrl - Collection URL (first page or links.next)
+     * @param {Object} config - Configuration object with API settings
+     * @returns {Promise<Object>} Object with nodes, included resources and next page URL
+     */
+    async fetchNodes(apiUrl, config = {}) {
+        try {
+            safeLog(console.log, `Fetching Drupal nodes from: ${apiUrl}`);
+
+            const auth = getAuthStrategy(config);
+            const request = applyAuth(apiUrl, { 'Accept': 'application/vnd.api+json' }, auth);
+
+            const response = await httpClient.request(request.url, { headers: request.headers });
+
+            assertAuthorized(response, auth, apiUrl);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const body = await response.json();
+            const nodes = Array.isArray(body.data) ? body.data : [];
+            const next = body.links && body.links.next
+                ? (typeof body.links.next === 'string' ? body.links.next : body.links.next.href)
+                : null;
+
+            console.log(`Fetched ${nodes.length} nodes`);
+
+            return {
+                nodes: nodes,
+                included: body.included || [],
+                next: next
+            };
+
+        } catch (error) {
+            console.error('Error fetching Drupal nodes:', error);
+            throw new Error(`Drupal API request failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Index JSON:API included resources by type and id
+     * @param {Array<Object>} included - Included resources
+     * @returns {Map<string, Object>} Map of "type:id" to resource
+     */
+    indexIncluded(included) {
+        const index = new Map();
+        (included || []).forEach(resource => index.set(`${resource.type}:${resource.id}`, resource));
+        return index;
+    }
+
+    /**
+     * Resolve a relationship to its included resources
+     * @param {Object} resource - Resource holding the relationship
+     * @param {string} field - Relationship field name
+     * @param {Map<string, Object>} includedIndex - Index from indexIncluded
+     * @returns {Array<Object>} Resolved resources with the relationship meta attached as _meta
+     */
+    resolveRelationship(resource, field, includedIndex) {
+        const relationship = resource.relationships && resource.relationships[field];
+        if (!relationship || !relationship.data) return [];
+
+        const refs = Array.isArray(relationship.data) ? relationship.data : [relationship.data];
+        return refs
+            .map(ref => {
+                const target = includedIndex.get(`${ref.type}:${ref.id}`);
+                return target ? { ...target, _meta: ref.meta || {} } : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Resolve the lead image URL, following media entities down to their file
+     * @param {Object} node - JSON:API node resource
+     * @param {Map<string, Object>} includedIndex - Index from indexIncluded
+     * @param {Object} config - Configuration object
+     * @param {string} baseUrl - Base URL for relative file URLs
+     * @returns {Object|null} Image ({ url, alt }) or null
+     */
+    resolveImage(node, includedIndex, config, baseUrl) {
+        const imageField = config.DRUPAL_IMAGE_FIELD || 'field_image';
+        const [target] = this.resolveRelationship(node, imageField, includedIndex);
+        if (!target) return null;
+
+        let file = target;
+        let alt = target._meta.alt || '';
+
+        if (target.type.startsWith('media--')) {
+            [file] = this.resolveRelationship(target, this.getMediaImageField(config), includedIndex);
+            if (!file) return null;
+            alt = file._meta.alt || alt || (target.attributes && target.attributes.name) || '';
+        }
+
+        const uri = file.attributes && file.attributes.uri;
+        const url = uri ? (uri.url || uri.value) : null;
+        if (!url || url.startsWith('public://')) return null;
+
+        return {
+            url: this.absoluteUrl(url, baseUrl),
+            alt: alt
+        };
+    }
+
+    /**
+     * Get the image field on media entities referenced by DRUPAL_IMAGE_FIELD
+     * @param {Object} config - Configuration object
+     * @returns {string} Field name
+     */
+    getMediaImageField(config) {
+        return config.DRUPAL_MEDIA_IMAGE_FIELD || DEFAULT_MEDIA_IMAGE_FIELD;
+    }
+
+    /**
+     * Check whether any node's image field references a media entity
+     * @param {Array<Object>} nodes - JSON:API node resources
+     * @param {Object} config - Configuration object
+     * @returns {boolean} True if an image relationship points at media
+     */
+    referencesMedia(nodes, config) {
+        const imageField = config.DRUPAL_IMAGE_FIELD || 'field_image';
+        return nodes.some(node => {
+            const relationship = node.relationships && node.relationships[imageField];
+            const refs = relationship && relationship.data
+                ? (Array.isArray(relationship.data) ? relationship.data : [relationship.data])
+                : [];
+            return refs.some(ref => ref && typeof ref.type === 'string' && ref.type.startsWith('media--'));
+        });
+    }
+
+    /**
+     * Get the configured taxonomy relationship fields
+     * @param {Object} config - Configuration object
+     * @returns {Array<string>} Field names
+     */
+    getTaxonomyFields(config) {
+        const fields = config.DRUPAL_TAXONOMY_FIELDS || 'field_tags';
+        return (Array.isArray(fields) ? fields : String(fields).split(','))
+            .map(field => field.trim())
+            .filter(Boolean);
+    }
+
+
+    // -------- Convenient methods
+
+    /**
+     * Clean node during ingestion and map it (with resolved relationships) to the stored post shape
+     * @param {Object} node - JSON:API node resource
+     * @param {Map<string, Object>} includedIndex - Index from indexIncluded
+     * @param {Object} config - Configuration object
+     * @returns {Object} Cleaned post object
+     */
+    cleanPostContent(node, includedIndex, config) {
+        const baseUrl = config.EXTERNAL_FEED_URL;
+        const attributes = node.attributes || {};
+        const body = attributes.body || {};
+        const path = attributes.path && attributes.path.alias
+            ? attributes.path.alias
+            : `/node/${attributes.drupal_internal__nid}`;
+
+        const authors = this.resolveRelationship(node, config.DRUPAL_AUTHOR_FIELD || 'uid', includedIndex)
+            .map(user => user.attributes && (user.attributes.display_name || user.attributes.name))
+            .filter(Boolean);
+
+        const categories = [];
+        this.getTaxonomyFields(config).forEach(field => {
+            this.resolveRelationship(node, field, includedIndex).forEach(term => {
+                const name = term.attributes && term.attributes.name;
+                if (name && !categories.includes(name)) {
+                    categories.push(name);
+                }
+            });
+        });
+
+        const image = this.resolveImage(node, includedIndex, config, baseUrl);
+
+        return {
+            'id': node.id,
+            'nid': attributes.drupal_internal__nid,
+            'date': this.toIsoDate(attributes.created),
+            'modified': this.toIsoDate(attributes.changed || attributes.created),
+            'guid': node.id,
+            'link': this.absoluteUrl(path, baseUrl),
+            'title': this.decodeHtmlEntities(attributes.title),
+            'author': authors.join(', '),
+            'categories': categories,
+            'thumbnail': image ? image.url : null,
+            'thumbnail_alt': image ? image.alt : '',
+            'content': this.cleanHtmlContent(body.processed || body.value || '', baseUrl),
+            'excerpt': body.summary || ''
+        };
+    }
+
+    /**
+     * Clean HTML content by removing script tags and making image/link URLs absolute
+     * @param {string} htmlContent - Raw HTML content
+     * @param {string} baseUrl - Base URL of the site
+     * @returns {string} Cleaned HTML content
+     */
+    cleanHtmlContent(htmlContent, baseUrl) {
+        if (!htmlContent) return htmlContent;
+
+        const $ = cheerio.load(htmlContent);
+
+        $('script').remove();
+
+        // Drupal text formats emit root-relative /sites/default/files/... paths
+        if (baseUrl) {
+            $('img[src]').each((index, element) => {
+                $(element).attr('src', this.absoluteUrl($(element).attr('src'), baseUrl));
+            });
+            $('a[href]').each((index, element) => {
+                $(element).attr('href', this.absoluteUrl($(element).attr('href'), baseUrl));
+            });
+        }
+
+        return this.unwrapDocument($);
+    }
+
+}
+
+module.exports = new DrupalDriver();
@@ -0,0 +1,366 @@
+const cheerio = require('cheerio');
+const { safeLog } = require('../utils/sensitive-data');
+const { getAuthStrategy, applyAuth, assertAuthorized } = require('../utils/auth');
+const httpClient = require('../utils/http');
+const { BaseDriver } = require('./base');
+
+class GhostDriver extends BaseDriver {
+    constructor() {
+        super('Ghost');
+        this.supportedFormats = ['content-api'];
+        this.postsPerPage = 20; // Hard-coded for now
+        this.apiVersion = 'v5.0';
+    }
+
+    // -------- Fetch from DB methods
+
+    /**
+     * Normalize Ghost post for feed generation
+     * @param {Object} post - Stored Ghost post (see cleanPostContent)
+     * @param {string} feedType - Feed type (article/slideshow)
+     * @param {Object} config - Configuration object (lead image fallbacks)
+     * @returns {Object} Normalized post object
+     */
+    normalizePost(post, feedType = '', config = {}) {
+        const parsedContent = this.parseContent(post.content, feedType);
+
+        const normalized = {
+            title: post.title,
+            shortTitle: post.title,
+            description: post.excerpt,
+            content: parsedContent.content,
+            link: post.link,
+            guid: post.guid,
+            pubDate: post.date,
+            author: post.author,
+            categories: post.categories || [],
+            isSlideShow: parsedContent.isSlideShow,
+            thumbnail: post.thumbnail,
+            featuredImage: post.thumbnail,
+            images: parsedContent.images
+        };
+
+        return this.applyThumbnailFallbacks(normalized, { featured: post.thumbnail, content: post.content }, config);
+    }
+
+    /**
+     * Parse Ghost content based on explicit feed type
+     * @param {string} content - Cleaned HTML content
+     * @param {string} feedType - The EXTERNAL_FEED_TYPE ("slideshow" or "article")
+     * @returns {Object} Parsed content with type and structured data
+     */
+    parseContent(content, feedType = '') {
+        if (!content) {
+            return {
+                content: '',
+                isSlideShow: false,
+                images: []
+            };
+        }
+
+        const isSlideShow = feedType.toLowerCase() === 'slideshow';
+
+        if (isSlideShow) {
+            return this.parseSlideShow(content);
+        }
+
+        return {
+            content: content,
+            isSlideShow: false,
+            images: []
+        };
+    }
+
+    /**
+     * Parse slideshow content from Ghost image and gallery cards
+     * @param {string} content - Cleaned HTML content
+     * @returns {Object} Parsed slideshow data
+     */
+    parseSlideShow(content) {
+        const $ = cheerio.load(content);
+        const images = [];
+
+        // Each image card is a slide; each image in a gallery card is a slide sharing the gallery caption
+        $('figure.kg-image-card, figure.kg-gallery-card').each((index, figureElement) => {
+            const $figure = $(figureElement);
+            const caption = $figure.children('figcaption').text().trim();
+
+            // Slide text is whatever follows the card up to the next card
+            let slideContent = '';
+            let $current = $figure.next();
+            while ($current.length > 0 && !$current.is('figure.kg-image-card, figure.kg-gallery-card')) {
+                slideContent += $current.prop('outerHTML') || $current.text();
+                $current = $current.next();
+            }
+
+            const $heading = $(`<div>${slideContent}</div>`).find('h2, h3').first();
+
+            $figure.find('img').each((imgIndex, imgElement) => {
+                const $img = $(imgElement);
+                const imageUrl = $img.attr('src') || $img.attr('data-src') || null;
+                if (!imageUrl) return;
+
+                images.push({
+                    url: imageUrl,
+                    title: $heading.text().trim(),
+                    text: slideContent,
+                    description: $img.attr('alt') || 'Image Provided by Source',
+                    attribution: caption
+                });
+            });
+        });
+
+        // Intro is everything before the first card
+        const $firstSlide = $('figure.kg-image-card, figure.kg-gallery-card').first();
+        let introContent = '';
+
+        if ($firstSlide.length > 0) {
+            $firstSlide.prevAll().each((index, element) => {
+                introContent = $(element).prop('outerHTML') + introContent;
+            });
+        } else {
+            introContent = $.html();
+        }
+
+        return {
+            content: this.stripHtml(introContent),
+            isSlideShow: true,
+            images: images
+        };
+    }
+
+
+    // -------- Ingesting methods (from Ghost Content API)
+
+    /**
+     * Ingest Ghost posts with pagination support
+     * New sources (or INGEST_FULL_CRAWL) walk every page; existing sources only fetch posts
+     * updated after the stored updated_at high-water mark.
+     * @param {Object} config - Configuration object
+     * @param {Object} db - Database manager instance
+     * @returns {Promise<Object>} Object with ingested count and new count
+     */
+    async ingest(config, db) {
+        try {
+            safeLog(console.log, `Ingesting Ghost posts from: ${config.EXTERNAL_FEED_URL}`);
+
+            if (!config.GHOST_CONTENT_API_KEY && !config.API_AUTH_TOKEN) {
+                throw new Error('GHOST_CONTENT_API_KEY is required for the ghost platform');
+            }
+
+            const isNewSource = await db.isNewSource(config);
+            const forceFullCrawl = config.INGEST_FULL_CRAWL === 'true' || config.INGEST_FULL_CRAWL === true;
+            const storedHighWaterMark = await db.getSourceState(config, 'high_water_mark');
+            const updatedAfter = (isNewSource || forceFullCrawl) ? null : storedHighWaterMark;
+
+            if (updatedAfter) {
+                console.log(`Incremental crawl: posts updated after ${updatedAfter}`);
+            } else {
+                console.log(`Full crawl: ${forceFullCrawl ? 'requested' : (isNewSource ? 'new source' : 'no high-water mark stored')}`);
+            }
+
+            let totalIngested = 0;
+            let totalNew = 0;
+            let currentPage = 1;
+            let totalPages = 1;
+            let highWaterMark = storedHighWaterMark;
+            let savedHighWaterMark = storedHighWaterMark;
+
+            do {
+                console.log(`Fetching page ${currentPage} of ${totalPages}...`);
+
+                const { posts, pagination } = await this.fetchPosts(config.EXTERNAL_FEED_URL, config, currentPage, updatedAfter);
+
+                if (pagination && pagination.pages) {
+                    totalPages = parseInt(pagination.pages);
+                    console.log(`Total pages available: ${totalPages} (total posts: ${pagination.total || 'unknown'})`);
+                }
+
+                for (const post of posts) {
+                    const cleanedPost = this.cleanPostContent(post);
+
+                    const item = {
+                        guid: cleanedPost.id,
+                        content_hash: this.generateHash(cleanedPost.id),
+                        item_published_at: cleanedPost.date,
+                        item_modified_at: cleanedPost.modified,
+                        metadata: {
+                            id: cleanedPost.id,
+                            title: cleanedPost.title,
+                            date: cleanedPost.date,
+                            modified: cleanedPost.modified,
+                            link: cleanedPost.link,
+                            author: cleanedPost.author
+                        },
+                        // Ghost provides full content in listing, so store it (cleaned)
+                        full_content: this.applySourceCleanup(cleanedPost, config)
+                    };
+
+                    const wasInserted = await db.insertItemDirect(item, config);
+                    if (wasInserted) {
+                        totalNew++;
+                    }
+                    totalIngested++;
+
+                    if (post.updated_at && (!highWaterMark || new Date(post.updated_at) > new Date(highWaterMark))) {
+                        highWaterMark = post.updated_at;
+                    }
+                }
+
+                console.log(`Page ${currentPage}: ${posts.length} posts processed, ${totalNew} new items so far`);
+
+                // Incremental pages arrive oldest-first, so the mark can advance page by page;
+                // a full crawl is newest-first and only records the mark once every page is stored
+                if (updatedAfter && highWaterMark !== savedHighWaterMark) {
+                    await db.setSourceState(config, 'high_water_mark', highWaterMark);
+                    savedHighWaterMark = highWaterMark;
+                }
+
+                currentPage++;
+
+            } while (currentPage <= totalPages);
+
+            if (highWaterMark && highWaterMark !== savedHighWaterMark) {
+                await db.setSourceState(config, 'high_water_mark', highWaterMark);
+            }
+
+            if (highWaterMark !== storedHighWaterMark) {
+                console.log(`High-water mark advanced to ${highWaterMark}`);
+            }
+
+            console.log(`✅ Ingestion complete: ${totalIngested} total, ${totalNew} new items`);
+            return {
+                totalIngested,
+                totalNew,
+                pagesProcessed: currentPage - 1,
+                incremental: Boolean(updatedAfter)
+            };
+
+        } catch (error) {
+            console.error('Error ingesting Ghost posts:', error);
+            throw new Error(`Ghost ingestion failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch posts from the Ghost Content API for a specific page
+     * @param {string} baseUrl - Base URL of the Ghost site
+     * @param {Object} config - Configuration object with API settings
+     * @param {number} page - Page number to fetch
+     * @param {string|null} updatedAfter - Only posts updated after this time (oldest first), or null for all posts
+     * @returns {Promise<Object>} Object with posts array and pagination meta
+     */
+    async fetchPosts(baseUrl, config, page = 1, updatedAfter = null) {
+        try {
+            const filterParam = config.GHOST_API_POSTS_FILTER || '';
+            const filterValue = config.GHOST_API_POSTS_FILTER_VALUE || '';
+
+            let queryParams = {
+                'include': 'authors,tags',
+                'formats': 'html',
+                'limit': this.postsPerPage,
+                'page': page,
+                'order': updatedAfter ? 'updated_at asc' : 'published_at desc'
+            };
+
+            // Ghost filters use NQL, e.g. filter=tag:msn-article; "+" combines them
+            const filters = [];
+            if (filterParam && filterValue) {
+                filters.push(`${filterParam}:${filterValue}`);
+            }
+            if (updatedAfter) {
+                // NQL dates are "YYYY-MM-DD HH:MM:SS" in UTC; whole seconds can repeat the last post, which is left unchanged
+                filters.push(`updated_at:>'${new Date(updatedAfter).toISOString().slice(0, 19).replace('T', ' ')}'`);
+            }
+            if (filters.length > 0) {
+                queryParams['filter'] = filters.join('+');
+            }
+
+            let apiUrl = [];
+            for (const [key, value] of Object.entries(queryParams)) {
+                apiUrl.push(`${key}=${encodeURIComponent(value)}`);
+            }
+            apiUrl = `${baseUrl}/ghost/api/content/posts/?${apiUrl.join('&')}`;
+
+            // Log before the key is appended so it never reaches the logs
+            safeLog(console.log, `Fetching Ghost posts from: ${apiUrl}`);
+
+            // The Content API key is a query-string credential by default
+            const auth = getAuthStrategy(config, {
+                type: 'query',
+                queryParam: 'key',
+                token: config.GHOST_CONTENT_API_KEY
+            });
+            const request = applyAuth(apiUrl, { 'Accept-Version': this.apiVersion }, auth);
+
+            const response = await httpClient.request(request.url, { headers: request.headers });
+
+            assertAuthorized(response, auth, apiUrl);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const body = await response.json();
+            const posts = body.posts || [];
+
+            console.log(`Fetched ${posts.length} posts from page ${page}`);
+
+            return {
+                posts: posts,
+                pagination: body.meta && body.meta.pagination ? body.meta.pagination : null
+            };
+
+        } catch (error) {
+            console.error('Error fetching Ghost posts:', error);
+            throw new Error(`Ghost API request failed: ${error.message}`);
+        }
+    }
+
+
+    // -------- Convenient methods
+
+    /**
+     * Clean post content during ingestion and map it to the stored post shape
+     * Primary tag comes first in categories; internal (#hash) tags are dropped.
+     * @param {Object} post - Raw Ghost post
+     * @returns {Object} Cleaned post object
+     */
+    cleanPostContent(post) {
+        const tags = (post.tags || []).filter(tag => tag.visibility !== 'internal');
+        const primaryTag = post.primary_tag && post.primary_tag.visibility !== 'internal' ? post.primary_tag : null;
+
+        const categories = [];
+        if (primaryTag) {
+            categories.push(primaryTag.name);
+        }
+        tags.forEach(tag => {
+            if (!categories.includes(tag.name)) {
+                categories.push(tag.name);
+            }
+        });
+
+        const authors = post.authors && post.authors.length > 0
+            ? post.authors
+            : (post.primary_author ? [post.primary_author] : []);
+
+        return {
+            'id': post.id,
+            'uuid': post.uuid,
+            'date': post.published_at,
+            'modified': post.updated_at || post.published_at,
+            'guid': post.uuid || post.id,
+            'slug': post.slug,
+            'link': post.url,
+            'title': this.decodeHtmlEntities(post.title),
+            'author': authors.map(author => author.name).filter(Boolean).join(', '),
+            'categories': categories,
+            'thumbnail': post.feature_image || null,
+            'thumbnail_caption': post.feature_image_caption || '',
+            'content': this.cleanHtmlContent(post.html),
+            'excerpt': post.custom_excerpt || post.excerpt || ''
+        };
+    }
+}
+
+module.exports = new GhostDriver();
@@ -1,38 +1,223 @@
+const fs = require('fs');
+const path = require('path');
 const wordpressDriver = require('./wordpress');
+const rssDriver = require('./rss');
+const jsonFeedDriver = require('./jsonfeed');
+const ghostDriver = require('./ghost');
+const drupalDriver = require('./drupal');
+const sitemapDriver = require('./sitemap');
 
 /**
- * Registry of available feed drivers
+ * Registry of built-in feed drivers
  */
 const drivers = {
-    wordpress: wordpressDriver
+    wordpress: wordpressDriver,
+    rss: rssDriver,
+    jsonfeed: jsonFeedDriver,
+    ghost: ghostDriver,
+    drupal: drupalDriver,
+    sitemap: sitemapDriver
 };
 
+/**
+ * Methods every driver must implement
+ */
+const REQUIRED_METHODS = ['ingest', 'fetchContent', 'normalizePost'];
+
+// DRIVER_PLUGINS_DIR and DRIVER_PACKAGES resolve against the project root, like config files
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// Loaded plugin registries, keyed by plugins directory + package list
+const pluginRegistries = new Map();
+
 /**
  * Get a feed driver by type
+ * Built-in drivers take precedence; plugins come from DRIVER_PLUGINS_DIR and DRIVER_PACKAGES.
  * @param {string} feedType - Type of feed (e.g., 'wordpress')
+ * @param {Object} config - Configuration object (plugin settings)
  * @returns {Object|null} Driver object or null if not found
  */
-function getFeedDriver(feedType) {
-    const driver = drivers[feedType];
-    
-    if (!driver) {
+function getFeedDriver(feedType, config = {}) {
+    if (drivers[feedType]) {
+        return drivers[feedType];
+    }
+
+    const registry = loadPluginDrivers(config);
+    const plugin = registry.drivers[feedType];
+
+    if (!plugin) {
         console.error(`No driver found for feed type: ${feedType}`);
-        console.log(`Available drivers: ${Object.keys(drivers).join(', ')}`);
+        console.log(`Available drivers: ${getAvailableFeedTypes(config).join(', ')}`);
+
+        registry.errors.forEach(error => {
+            console.error(`Plugin driver not loaded (${error.origin} ${error.source}): ${error.message}`);
+        });
         return null;
     }
-    
-    return driver;
+
+    return plugin.driver;
 }
 
 /**
  * Get list of available feed types
- * @returns {Array<string>} Array of available feed types
+ * @param {Object} config - Configuration object (plugin settings)
+ * @returns {Array<string>} Array of feed type names
+ */
+function getAvailableFeedTypes(config = {}) {
+    return describeFeedTypes(config).map(entry => entry.type);
+}
+
+/**
+ * Describe the available feed types and where each driver came from
+ * @param {Object} config - Configuration object (plugin settings)
+ * @returns {Array<Object>} Array of { type, name, origin, source }; origin is 'builtin', 'plugin' or 'npm'
+ */
+function describeFeedTypes(config = {}) {
+    const builtIn = Object.entries(drivers).map(([type, driver]) => ({
+        type: type,
+        name: driver.name,
+        origin: 'builtin',
+        source: `drivers/${type}`
+    }));
+
+    const plugins = Object.entries(loadPluginDrivers(config).drivers).map(([type, plugin]) => ({
+        type: type,
+        name: plugin.driver.name,
+        origin: plugin.origin,
+        source: plugin.source
+    }));
+
+    return [...builtIn, ...plugins];
+}
+
+/**
+ * Load plugin drivers from the configured directory and npm packages
+ * @param {Object} config - Configuration object (DRIVER_PLUGINS_DIR, DRIVER_PACKAGES)
+ * @returns {Object} Registry ({ drivers: { type: { driver, origin, source } }, errors: [] })
+ */
+function loadPluginDrivers(config = {}) {
+    const pluginsDir = config.DRIVER_PLUGINS_DIR ? path.resolve(PROJECT_ROOT, config.DRIVER_PLUGINS_DIR) : null;
+    const packages = parseList(config.DRIVER_PACKAGES);
+    const cacheKey = `${pluginsDir || ''}|${packages.join(',')}`;
+
+    if (pluginRegistries.has(cacheKey)) {
+        return pluginRegistries.get(cacheKey);
+    }
+
+    const registry = { drivers: {}, errors: [] };
+
+    if (pluginsDir) {
+        if (!fs.existsSync(pluginsDir)) {
+            registry.errors.push({ origin: 'plugin', source: pluginsDir, message: 'plugins directory does not exist' });
+        } else {
+            fs.readdirSync(pluginsDir, { withFileTypes: true })
+                .filter(entry => !entry.name.startsWith('.'))
+                .filter(entry => entry.isDirectory() || (entry.isFile() && entry.name.endsWith('.js')))
+                .forEach(entry => {
+                    const modulePath = path.join(pluginsDir, entry.name);
+                    registerPlugin(registry, modulePath, path.basename(entry.name, '.js'), 'plugin', modulePath);
+                });
+        }
+    }
+
+    packages.forEach(packageName => {
+        let modulePath;
+        try {
+            modulePath = require.resolve(packageName, { paths: [PROJECT_ROOT] });
+        } catch (error) {
+            registry.errors.push({ origin: 'npm', source: packageName, message: `package not installed (${error.message.split('\n')[0]})` });
+            return;
+        }
+
+        registerPlugin(registry, modulePath, packageName.split('/').pop(), 'npm', packageName);
+    });
+
+    pluginRegistries.set(cacheKey, registry);
+    return registry;
+}
+
+/**
+ * Require a plugin module, check its interface and add it to the registry
+ * The feed type is the driver's `type` property, falling back to the file or package name.
+ * @param {Object} registry - Plugin registry being built
+ * @param {string} modulePath - Path to require
+ * @param {string} defaultType - Feed type used when the driver doesn't declare one
+ * @param {string} origin - 'plugin' or 'npm'
+ * @param {string} source - Directory path or package name (for reporting)
+ */
+function registerPlugin(registry, modulePath, defaultType, origin, source) {
+    try {
+        let driver = require(modulePath);
+
+        // Accept ES module default exports and driver classes as well as instances (like the built-ins)
+        if (driver && driver.default) {
+            driver = driver.default;
+        }
+        if (typeof driver === 'function') {
+            driver = new driver();
+        }
+
+        const problems = validateDriver(driver);
+        if (problems.length > 0) {
+            throw new Error(`does not implement the driver interface: ${problems.join(', ')}`);
+        }
+
+        const type = driver.type || defaultType;
+
+        if (drivers[type]) {
+            throw new Error(`feed type "${type}" is already provided by a built-in driver`);
+        }
+        if (registry.drivers[type]) {
+            throw new Error(`feed type "${type}" is already provided by ${registry.drivers[type].source}`);
+        }
+
+        registry.drivers[type] = { driver, origin, source };
+        console.log(`Loaded ${origin} driver "${type}" (${driver.name}) from ${source}`);
+
+    } catch (error) {
+        registry.errors.push({ origin, source, message: error.message });
+    }
+}
+
+/**
+ * Check that a driver implements the required interface
+ * @param {Object} driver - Driver object
+ * @returns {Array<string>} List of problems (empty if valid)
+ */
+function validateDriver(driver) {
+    if (!driver || typeof driver !== 'object') {
+        return ['module does not export a driver object'];
+    }
+
+    const problems = [];
+
+    if (typeof driver.name !== 'string' || driver.name.trim() === '') {
+        problems.push('missing "name"');
+    }
+
+    REQUIRED_METHODS.forEach(method => {
+        if (typeof driver[method] !== 'function') {
+            problems.push(`missing ${method}()`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Parse a comma-separated setting into a list
+ * @param {string|Array<string>} value - Setting value
+ * @returns {Array<string>} Trimmed, non-empty entries
  */
-function getAvailableFeedTypes() {
-    return Object.keys(drivers);
+function parseList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(entry => entry.trim()).filter(Boolean);
 }
 
 module.exports = {
     getFeedDriver,
-    getAvailableFeedTypes
+    getAvailableFeedTypes,
+    describeFeedTypes,
+    validateDriver
 };
@@ -0,0 +1,265 @@
+const { safeLog } = require('../utils/sensitive-data');
+const { getAuthStrategy, applyAuth, assertAuthorized } = require('../utils/auth');
+const httpClient = require('../utils/http');
+const { escapeText } = require('../utils/xml-writer');
+const { BaseDriver } = require('./base');
+
+class JSONFeedDriver extends BaseDriver {
+    constructor() {
+        super('JSONFeed');
+        this.supportedFormats = ['jsonfeed-1.0', 'jsonfeed-1.1'];
+        this.maxPages = 50; // Guard against next_url loops
+    }
+
+    // -------- Fetch from DB methods
+
+    /**
+     * Normalize a stored JSON Feed item for feed generation
+     * @param {Object} post - Stored item (see parseItem)
+     * @param {string} feedType - Feed type (article/slideshow)
+     * @param {Object} config - Configuration object (lead image fallbacks)
+     * @returns {Object} Normalized post object
+     */
+    normalizePost(post, feedType = '', config = {}) {
+        const parsedContent = this.parseContent(post, feedType);
+
+        const normalized = {
+            title: post.title,
+            shortTitle: post.title,
+            description: post.excerpt,
+            content: parsedContent.content,
+            link: post.link,
+            guid: post.guid,
+            pubDate: post.date,
+            author: post.author,
+            categories: post.categories || [],
+            isSlideShow: parsedContent.isSlideShow,
+            thumbnail: post.thumbnail,
+            featuredImage: post.thumbnail,
+            images: parsedContent.images
+        };
+
+        return this.applyThumbnailFallbacks(normalized, { featured: post.thumbnail, content: post.content }, config);
+    }
+
+    /**
+     * Parse stored item content based on explicit feed type
+     * Slideshow images come from the item's image attachments.
+     * @param {Object} post - Stored item
+     * @param {string} feedType - The EXTERNAL_FEED_TYPE ("slideshow" or "article")
+     * @returns {Object} Parsed content with type and structured data
+     */
+    parseContent(post, feedType = '') {
+        const isSlideShow = feedType.toLowerCase() === 'slideshow';
+
+        if (isSlideShow) {
+            const images = (post.attachments || [])
+                .filter(attachment => attachment.url !== post.thumbnail)
+                .map(attachment => ({
+                    url: attachment.url,
+                    title: attachment.title || '',
+                    text: '',
+                    description: attachment.title || 'Image Provided by Source',
+                    attribution: ''
+                }));
+
+            return {
+                content: this.stripHtml(post.content || post.excerpt),
+                isSlideShow: true,
+                images: images
+            };
+        }
+
+        return {
+            content: post.content || '',
+            isSlideShow: false,
+            images: []
+        };
+    }
+
+
+    // -------- Ingesting methods (from the feed URL)
+
+    /**
+     * Ingest JSON Feed items, following next_url pagination
+     * @param {Object} config - Configuration object
+     * @param {Object} db - Database manager instance
+     * @returns {Promise<Object>} Object with ingested count and new count
+     */
+    async ingest(config, db) {
+        try {
+            let nextUrl = config.JSON_FEED_URL || config.EXTERNAL_FEED_URL;
+            safeLog(console.log, `Ingesting JSON Feed from: ${nextUrl}`);
+
+            let totalIngested = 0;
+            let totalNew = 0;
+            let pagesProcessed = 0;
+            let notModified = false;
+
+            while (nextUrl && pagesProcessed < this.maxPages) {
+                // Only the first page is conditional; a 304 there means nothing has changed since the last run
+                const feed = await this.fetchFeed(nextUrl, config, pagesProcessed === 0);
+
+                if (feed === null) {
+                    console.log('Feed not modified since last run (304), skipping ingestion');
+                    notModified = true;
+                    break;
+                }
+
+                pagesProcessed++;
+
+                for (const rawItem of feed.items || []) {
+                    const post = this.parseItem(rawItem, feed);
+
+                    if (!post.guid) {
+                        console.warn(`Skipping item "${post.title}": it has no id or url to identify it`);
+                        continue;
+                    }
+
+                    const item = {
+                        guid: post.guid,
+                        content_hash: this.generateHash(post.guid),
+                        item_published_at: post.date,
+                        // date_modified drives change detection in insertItemDirect
+                        item_modified_at: post.modified,
+                        metadata: {
+                            id: post.id,
+                            title: post.title,
+                            date: post.date,
+                            modified: post.modified,
+                            link: post.link,
+                            author: post.author
+                        },
+                        full_content: this.applySourceCleanup(post, config)
+                    };
+
+                    const wasInserted = await db.insertItemDirect(item, config);
+                    if (wasInserted) {
+                        totalNew++;
+                    }
+                    totalIngested++;
+                }
+
+                console.log(`Page ${pagesProcessed}: ${(feed.items || []).length} items processed, ${totalNew} new items so far`);
+
+                nextUrl = feed.next_url && feed.next_url !== nextUrl ? feed.next_url : null;
+            }
+
+            console.log(`✅ Ingestion complete: ${totalIngested} total, ${totalNew} new items`);
+            return {
+                totalIngested,
+                totalNew,
+                pagesProcessed,
+                notModified
+            };
+
+        } catch (error) {
+            console.error('Error ingesting JSON Feed:', error);
+            throw new Error(`JSON Feed ingestion failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download a JSON Feed document
+     * @param {string} feedUrl - URL of the feed document
+     * @param {Object} config - Configuration object with API settings
+     * @param {boolean} conditional - Send cache validators for this request
+     * @returns {Promise<Object|null>} Parsed feed object, or null if not modified
+     */
+    async fetchFeed(feedUrl, config = {}, conditional = false) {
+        try {
+            safeLog(console.log, `Fetching JSON Feed from: ${feedUrl}`);
+
+            const auth = getAuthStrategy(config, { sourceUrls: [config.JSON_FEED_URL] });
+            const request = applyAuth(feedUrl, { 'Accept': 'application/feed+json, application/json' }, auth);
+
+            const response = await httpClient.request(request.url, {
+                headers: request.headers,
+                conditional: conditional
+            });
+
+            assertAuthorized(response, auth, feedUrl);
+
+            if (response.status === 304) {
+                return null;
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const feed = await response.json();
+
+            if (!feed || typeof feed.version !== 'string' || !feed.version.startsWith('https://jsonfeed.org/version/')) {
+                throw new Error('Response is not a JSON Feed document (missing or invalid "version")');
+            }
+
+            if (!Array.isArray(feed.items)) {
+                throw new Error('JSON Feed document has no "items" array');
+            }
+
+            console.log(`Fetched ${feed.items.length} items from JSON Feed`);
+            return feed;
+
+        } catch (error) {
+            console.error('Error fetching JSON Feed:', error);
+            throw new Error(`JSON Feed request failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert a JSON Feed item into the stored post shape
+     * @param {Object} item - JSON Feed item
+     * @param {Object} feed - Parent feed (for feed-level authors)
+     * @returns {Object} Stored post object (guid is empty if the item has neither id nor url)
+     */
+    parseItem(item, feed = {}) {
+        const date = this.toIsoDate(item.date_published) || this.toIsoDate(item.date_modified);
+        const content = item.content_html || (item.content_text ? this.textToParagraphs(item.content_text) : '');
+
+        // id is required by the spec, but some feeds leave it out; the item URL is the next most stable identifier
+        const hasId = item.id !== undefined && item.id !== null && String(item.id) !== '';
+        const guid = hasId ? String(item.id) : (item.url || '');
+
+        // JSON Feed 1.1 uses "authors"; 1.0 used a single "author". Fall back to the feed's authors.
+        const authors = item.authors || (item.author ? [item.author] : null) || feed.authors || (feed.author ? [feed.author] : []);
+
+        const attachments = (item.attachments || [])
+            .filter(attachment => attachment.url && (attachment.mime_type || '').startsWith('image/'))
+            .map(attachment => ({ url: attachment.url, title: attachment.title || '' }));
+
+        return {
+            id: guid,
+            date: date,
+            modified: this.toIsoDate(item.date_modified) || date,
+            guid: guid,
+            link: item.url || item.external_url || '',
+            title: this.decodeHtmlEntities(item.title || ''),
+            author: authors.map(author => author && author.name).filter(Boolean).join(', '),
+            categories: Array.isArray(item.tags) ? item.tags.filter(Boolean) : [],
+            thumbnail: item.image || item.banner_image || (attachments.length > 0 ? attachments[0].url : null),
+            attachments: attachments,
+            content: this.cleanHtmlContent(content),
+            excerpt: item.summary || ''
+        };
+    }
+
+
+    // -------- Convenient methods
+
+    /**
+     * Convert plain text into HTML paragraphs, one per blank-line-separated block
+     * @param {string} text - Plain text (content_text)
+     * @returns {string} Escaped HTML paragraphs
+     */
+    textToParagraphs(text) {
+        return String(text)
+            .split(/\n{2,}/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean)
+            .map(paragraph => `<p>${escapeText(paragraph)}</p>`)
+            .join('');
+    }
+}
+
+module.exports = new JSONFeedDriver();
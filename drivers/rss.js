@@ -0,0 +1,469 @@
+const xml2js = require('xml2js');
+const cheerio = require('cheerio');
+const { safeLog } = require('../utils/sensitive-data');
+const { getAuthStrategy, applyAuth, assertAuthorized } = require('../utils/auth');
+const httpClient = require('../utils/http');
+const { BaseDriver } = require('./base');
+const { getVideoMimeType, parseDuration } = require('../utils/video');
+
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+class RSSDriver extends BaseDriver {
+    constructor() {
+        super('RSS');
+        this.supportedFormats = ['rss2', 'atom'];
+    }
+
+    // -------- Fetch from DB methods
+
+    /**
+     * Normalize a stored feed item for feed generation
+     * @param {Object} post - Stored feed item (see parseItem)
+     * @param {string} feedType - Feed type (article/slideshow/video)
+     * @param {Object} config - Configuration object (lead image fallbacks)
+     * @returns {Object} Normalized post object
+     */
+    normalizePost(post, feedType = '', config = {}) {
+        const parsedContent = this.parseContent(post, feedType);
+
+        const normalized = {
+            title: post.title,
+            shortTitle: post.title,
+            description: post.excerpt,
+            content: parsedContent.content,
+            link: post.link,
+            guid: post.guid,
+            pubDate: post.date,
+            author: post.author,
+            categories: post.categories || [],
+            isSlideShow: parsedContent.isSlideShow,
+            thumbnail: post.thumbnail,
+            featuredImage: post.thumbnail,
+            images: parsedContent.images
+        };
+
+        if (parsedContent.video !== undefined) {
+            normalized.video = parsedContent.video;
+        }
+
+        return this.applyThumbnailFallbacks(normalized, { featured: post.thumbnail, content: post.content }, config);
+    }
+
+    /**
+     * Parse stored item content based on explicit feed type
+     * Slideshows are built from the item's media entries rather than its HTML,
+     * since feeds carry their gallery images as media:content/enclosure elements.
+     * Videos likewise come from the item's video media:content/enclosure.
+     * @param {Object} post - Stored feed item
+     * @param {string} feedType - The EXTERNAL_FEED_TYPE ("slideshow", "video" or "article")
+     * @returns {Object} Parsed content with type and structured data
+     */
+    parseContent(post, feedType = '') {
+        const isSlideShow = feedType.toLowerCase() === 'slideshow';
+
+        if (isSlideShow) {
+            const images = (post.media || [])
+                .filter(media => media.url !== post.thumbnail)
+                .map(media => ({
+                    url: media.url,
+                    title: media.title || '',
+                    text: media.description || '',
+                    description: media.title || 'Image Provided by Source',
+                    attribution: media.credit || ''
+                }));
+
+            return {
+                content: this.stripHtml(post.content || post.excerpt),
+                isSlideShow: true,
+                images: images
+            };
+        }
+
+        if (feedType.toLowerCase() === 'video') {
+            return {
+                content: post.content || post.excerpt || '',
+                isSlideShow: false,
+                images: [],
+                video: post.video || null
+            };
+        }
+
+        return {
+            content: post.content || '',
+            isSlideShow: false,
+            images: []
+        };
+    }
+
+
+    // -------- Ingesting methods (from the feed URL)
+
+    /**
+     * Ingest RSS 2.0 or Atom feed items
+     * @param {Object} config - Configuration object
+     * @param {Object} db - Database manager instance
+     * @returns {Promise<Object>} Object with ingested count and new count
+     */
+    async ingest(config, db) {
+        try {
+            const feedUrl = config.RSS_FEED_URL || config.EXTERNAL_FEED_URL;
+            safeLog(console.log, `Ingesting RSS feed from: ${feedUrl}`);
+
+            const items = await this.fetchFeed(feedUrl, config);
+
+            // null means the feed answered 304: nothing has changed since the last successful run
+            if (items === null) {
+                console.log('Feed not modified since last run (304), skipping ingestion');
+                return {
+                    totalIngested: 0,
+                    totalNew: 0,
+                    pagesProcessed: 0,
+                    notModified: true
+                };
+            }
+
+            let totalIngested = 0;
+            let totalNew = 0;
+
+            for (const rawItem of items) {
+                const post = this.parseItem(rawItem);
+
+                if (!post.guid) {
+                    console.warn(`Skipping feed item without guid or link: ${post.title}`);
+                    continue;
+                }
+
+                const item = {
+                    guid: post.guid,
+                    content_hash: this.generateHash(post.guid),
+                    item_published_at: post.date,
+                    item_modified_at: post.modified,
+                    metadata: {
+                        id: post.id,
+                        title: post.title,
+                        date: post.date,
+                        modified: post.modified,
+                        link: post.link,
+                        author: post.author
+                    },
+                    full_content: this.applySourceCleanup(post, config)
+                };
+
+                const wasInserted = await db.insertItemDirect(item, config);
+                if (wasInserted) {
+                    totalNew++;
+                }
+                totalIngested++;
+            }
+
+            console.log(`✅ Ingestion complete: ${totalIngested} total, ${totalNew} new items`);
+            return {
+                totalIngested,
+                totalNew,
+                pagesProcessed: 1
+            };
+
+        } catch (error) {
+            console.error('Error ingesting RSS feed:', error);
+            throw new Error(`RSS ingestion failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download and parse an RSS 2.0 or Atom document
+     * @param {string} feedUrl - URL of the feed document
+     * @param {Object} config - Configuration object with API settings
+     * @returns {Promise<Array<Object>|null>} Raw feed items (RSS <item> or Atom <entry>), or null if not modified
+     */
+    async fetchFeed(feedUrl, config = {}) {
+        try {
+            safeLog(console.log, `Fetching feed from: ${feedUrl}`);
+
+            const auth = getAuthStrategy(config, { sourceUrls: [config.RSS_FEED_URL] });
+            const request = applyAuth(feedUrl, {
+                'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml'
+            }, auth);
+
+            const response = await httpClient.request(request.url, {
+                headers: request.headers,
+                conditional: true
+            });
+
+            assertAuthorized(response, auth, feedUrl);
+
+            if (response.status === 304) {
+                return null;
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const xml = await response.text();
+            const items = await this.parseFeed(xml);
+
+            console.log(`Fetched ${items.length} items from feed`);
+            return items;
+
+        } catch (error) {
+            console.error('Error fetching RSS feed:', error);
+            throw new Error(`RSS feed request failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse feed XML into a list of raw items, tagged with the feed format
+     * @param {string} xml - Feed XML
+     * @returns {Promise<Array<Object>>} Raw items
+     */
+    async parseFeed(xml) {
+        const parsed = await xml2js.parseStringPromise(xml, {
+            explicitArray: false,
+            trim: true
+        });
+
+        if (parsed.rss && parsed.rss.channel) {
+            return this.asArray(parsed.rss.channel.item).map(item => ({ ...item, _format: 'rss2' }));
+        }
+
+        if (parsed.feed) {
+            const xhtml = this.extractAtomXhtml(xml);
+            return this.asArray(parsed.feed.entry).map((entry, index) => ({ ...entry, _format: 'atom', _xhtml: xhtml[index] || {} }));
+        }
+
+        throw new Error('Unrecognised feed format (expected <rss> or <feed> root element)');
+    }
+
+    /**
+     * Read the markup of each entry's type="xhtml" content and summary
+     * xml2js turns inline XHTML into nested objects, so it is taken from the source instead.
+     * @param {string} xml - Atom feed XML
+     * @returns {Array<Object>} Per entry, in document order: { content, summary } markup of the wrapping <div>
+     */
+    extractAtomXhtml(xml) {
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const prefixes = new Set();
+
+        // Elements may be prefixed with any name bound to the XHTML namespace (e.g. <xhtml:p>)
+        $('*').each((index, element) => {
+            Object.entries(element.attribs || {}).forEach(([name, value]) => {
+                if (name.startsWith('xmlns:') && value === XHTML_NAMESPACE) {
+                    prefixes.add(name.slice('xmlns:'.length));
+                }
+            });
+        });
+
+        return $.root().children('feed').children('entry').map((index, entry) => {
+            const result = {};
+
+            ['content', 'summary'].forEach(name => {
+                const $node = $(entry).children(name).filter((i, element) => $(element).attr('type') === 'xhtml').first();
+                if ($node.length === 0) return;
+
+                const $div = $node.children().first();
+                $div.find('*').each((i, element) => {
+                    const [prefix, localName] = element.name.split(':');
+                    if (localName && prefixes.has(prefix)) {
+                        element.name = localName;
+                    }
+                    Object.keys(element.attribs).filter(attribute => attribute.startsWith('xmlns')).forEach(attribute => {
+                        $(element).removeAttr(attribute);
+                    });
+                });
+
+                result[name] = ($div.html() || '').trim();
+            });
+
+            return result;
+        }).get();
+    }
+
+    /**
+     * Convert a raw RSS/Atom item into the stored post shape
+     * @param {Object} raw - Raw item from parseFeed
+     * @returns {Object} Stored post object
+     */
+    parseItem(raw) {
+        return raw._format === 'atom' ? this.parseAtomEntry(raw) : this.parseRssItem(raw);
+    }
+
+    /**
+     * Convert an RSS 2.0 <item>
+     * @param {Object} item - Raw RSS item
+     * @returns {Object} Stored post object
+     */
+    parseRssItem(item) {
+        const link = this.text(item.link);
+        const guid = this.text(item.guid) || link;
+        const date = this.toIsoDate(this.text(item.pubDate) || this.text(item['dc:date']));
+        const media = this.extractMedia(item);
+        const content = this.text(item['content:encoded']) || this.text(item.description);
+
+        return {
+            id: guid,
+            date: date,
+            modified: this.toIsoDate(this.text(item['atom:updated'])) || date,
+            guid: guid,
+            link: link,
+            title: this.decodeHtmlEntities(this.text(item.title)),
+            author: this.text(item['dc:creator']) || this.text(item.author),
+            categories: this.asArray(item.category).map(cat => this.text(cat)).filter(Boolean),
+            thumbnail: media.length > 0 ? media[0].url : null,
+            media: media,
+            video: this.extractVideo(item),
+            content: this.cleanHtmlContent(content),
+            excerpt: this.cleanHtmlContent(this.text(item.description))
+        };
+    }
+
+    /**
+     * Convert an Atom <entry>
+     * @param {Object} entry - Raw Atom entry
+     * @returns {Object} Stored post object
+     */
+    parseAtomEntry(entry) {
+        const links = this.asArray(entry.link);
+        const alternate = links.find(link => !link.$ || !link.$.rel || link.$.rel === 'alternate');
+        const link = alternate && alternate.$ ? alternate.$.href : this.text(alternate);
+        const guid = this.text(entry.id) || link;
+        const modified = this.toIsoDate(this.text(entry.updated));
+        const date = this.toIsoDate(this.text(entry.published)) || modified;
+        const media = this.extractMedia(entry);
+        const content = this.atomText(entry, 'content') || this.atomText(entry, 'summary');
+
+        // Atom enclosures are <link rel="enclosure"> rather than <enclosure>
+        links
+            .filter(link => link.$ && link.$.rel === 'enclosure' && this.isImage(link.$.type, link.$.href))
+            .forEach(link => media.push({ url: link.$.href }));
+
+        const videoLink = links.find(link => link.$ && link.$.rel === 'enclosure' && getVideoMimeType(link.$.href, link.$.type));
+        const video = this.extractVideo(entry) || (videoLink ? {
+            url: videoLink.$.href,
+            type: getVideoMimeType(videoLink.$.href, videoLink.$.type),
+            duration: null,
+            thumbnail: media.length > 0 ? media[0].url : null,
+            description: '',
+            transcript: ''
+        } : null);
+
+        return {
+            id: guid,
+            date: date,
+            modified: modified || date,
+            guid: guid,
+            link: link,
+            title: this.decodeHtmlEntities(this.text(entry.title)),
+            author: this.asArray(entry.author).map(author => this.text(author.name || author)).filter(Boolean).join(', '),
+            categories: this.asArray(entry.category).map(cat => (cat.$ && (cat.$.label || cat.$.term)) || this.text(cat)).filter(Boolean),
+            thumbnail: media.length > 0 ? media[0].url : null,
+            media: media,
+            video: video,
+            content: this.cleanHtmlContent(content),
+            excerpt: this.cleanHtmlContent(this.atomText(entry, 'summary'))
+        };
+    }
+
+    /**
+     * Collect image media from media:content, media:group, media:thumbnail and enclosure
+     * @param {Object} item - Raw RSS item or Atom entry
+     * @returns {Array<Object>} Media entries ({ url, title, description, credit })
+     */
+    extractMedia(item) {
+        const media = [];
+        const seen = new Set();
+
+        const add = (element) => {
+            const attrs = element && element.$;
+            if (!attrs || !attrs.url || seen.has(attrs.url)) return;
+            if (attrs.medium && attrs.medium !== 'image') return;
+            if (!attrs.medium && !this.isImage(attrs.type, attrs.url)) return;
+
+            seen.add(attrs.url);
+            media.push({
+                url: attrs.url,
+                title: this.text(element['media:title']),
+                description: this.text(element['media:description']) || this.text(element['media:text']),
+                credit: this.text(element['media:credit'])
+            });
+        };
+
+        this.asArray(item['media:content']).forEach(add);
+        this.asArray(item['media:group']).forEach(group => this.asArray(group['media:content']).forEach(add));
+        this.asArray(item.enclosure).forEach(add);
+
+        const thumbnail = this.asArray(item['media:thumbnail'])[0];
+        if (thumbnail && thumbnail.$ && thumbnail.$.url && !seen.has(thumbnail.$.url)) {
+            media.push({ url: thumbnail.$.url });
+        }
+
+        return media;
+    }
+
+
+    /**
+     * Find the item's video in media:content, media:group or enclosure
+     * @param {Object} item - Raw RSS item or Atom entry
+     * @returns {Object|null} Video ({ url, type, duration, thumbnail, description, transcript }) or null
+     */
+    extractVideo(item) {
+        const candidates = [
+            ...this.asArray(item['media:content']),
+            ...this.asArray(item['media:group']).flatMap(group => this.asArray(group['media:content'])),
+            ...this.asArray(item.enclosure)
+        ];
+
+        const element = candidates.find(candidate => {
+            const attrs = candidate && candidate.$;
+            if (!attrs || !attrs.url) return false;
+            if (attrs.medium) return attrs.medium === 'video';
+            return getVideoMimeType(attrs.url, attrs.type) !== null;
+        });
+
+        if (!element) return null;
+
+        const attrs = element.$;
+        // Group-level thumbnails and descriptions apply to the video when it has none of its own
+        const group = this.asArray(item['media:group'])[0] || {};
+        const thumbnail = this.asArray(element['media:thumbnail'])[0] || this.asArray(group['media:thumbnail'])[0] || this.asArray(item['media:thumbnail'])[0];
+
+        return {
+            url: attrs.url,
+            type: getVideoMimeType(attrs.url, attrs.type),
+            duration: parseDuration(attrs.duration),
+            thumbnail: thumbnail && thumbnail.$ ? thumbnail.$.url : null,
+            description: this.text(element['media:description']) || this.text(group['media:description']) || this.text(item['media:description']),
+            // media:text is MRSS's transcript / closed caption text
+            transcript: this.text(element['media:text']) || this.text(group['media:text'])
+        };
+    }
+
+
+    // -------- Convenient methods
+
+    /**
+     * Read an Atom text construct (content or summary)
+     * @param {Object} entry - Raw Atom entry from parseFeed
+     * @param {string} name - Element name
+     * @returns {string} Text or HTML; for type="xhtml", the markup inside its <div>
+     */
+    atomText(entry, name) {
+        const node = this.asArray(entry[name])[0];
+        if (node && node.$ && node.$.type === 'xhtml') {
+            return (entry._xhtml && entry._xhtml[name]) || '';
+        }
+        return this.text(node);
+    }
+
+    /**
+     * Check whether a MIME type or URL refers to an image
+     * @param {string} type - MIME type (optional)
+     * @param {string} url - Resource URL
+     * @returns {boolean} True if the resource looks like an image
+     */
+    isImage(type, url) {
+        if (type) return type.startsWith('image/');
+        return /\.(jpe?g|png|gif|webp|avif)(\?|$)/i.test(url || '');
+    }
+}
+
+module.exports = new RSSDriver();
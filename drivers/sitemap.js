@@ -0,0 +1,562 @@
+const cheerio = require('cheerio');
+const xml2js = require('xml2js');
+const { safeLog } = require('../utils/sensitive-data');
+const { getAuthStrategy, applyAuth, assertAuthorized } = require('../utils/auth');
+const httpClient = require('../utils/http');
+const { BaseDriver } = require('./base');
+
+/**
+ * Default CSS selectors used when JSON-LD and Open Graph don't provide a field.
+ * Override per source with SITEMAP_SELECTORS.
+ */
+const DEFAULT_SELECTORS = {
+    title: 'h1',
+    author: '[rel="author"], .byline, .author',
+    published: 'time[datetime]',
+    modified: 'time[itemprop="dateModified"]',
+    image: 'article img',
+    description: '',
+    body: 'article',
+    remove: ''
+};
+
+class SitemapDriver extends BaseDriver {
+    constructor() {
+        super('Sitemap');
+        this.supportedFormats = ['sitemap', 'news-sitemap'];
+        this.maxItemsPerRun = 50;
+        this.maxSitemaps = 20; // Guard against huge sitemap indexes
+    }
+
+    // -------- Fetch from DB methods
+
+    /**
+     * Normalize a scraped page for feed generation
+     * @param {Object} post - Stored page (see extractArticle)
+     * @param {string} feedType - Feed type (article/slideshow)
+     * @param {Object} config - Configuration object (lead image fallbacks)
+     * @returns {Object} Normalized post object
+     */
+    normalizePost(post, feedType = '', config = {}) {
+        const parsedContent = this.parseContent(post.content, feedType);
+
+        const normalized = {
+            title: post.title,
+            shortTitle: post.title,
+            description: post.excerpt,
+            content: parsedContent.content,
+            link: post.link,
+            guid: post.guid,
+            pubDate: post.date,
+            author: post.author,
+            categories: post.categories || [],
+            isSlideShow: parsedContent.isSlideShow,
+            thumbnail: post.thumbnail,
+            featuredImage: post.thumbnail,
+            images: parsedContent.images
+        };
+
+        return this.applyThumbnailFallbacks(normalized, { featured: post.thumbnail, og: post.og_image, content: post.content }, config);
+    }
+
+    /**
+     * Parse scraped body based on explicit feed type
+     * @param {string} content - Cleaned HTML body
+     * @param {string} feedType - The EXTERNAL_FEED_TYPE ("slideshow" or "article")
+     * @returns {Object} Parsed content with type and structured data
+     */
+    parseContent(content, feedType = '') {
+        if (!content) {
+            return {
+                content: '',
+                isSlideShow: false,
+                images: []
+            };
+        }
+
+        const isSlideShow = feedType.toLowerCase() === 'slideshow';
+
+        if (!isSlideShow) {
+            return {
+                content: content,
+                isSlideShow: false,
+                images: []
+            };
+        }
+
+        const $ = cheerio.load(content);
+        const images = [];
+
+        $('img').each((index, imgElement) => {
+            const $img = $(imgElement);
+            const imageUrl = $img.attr('src') || null;
+            if (!imageUrl) return;
+
+            const $block = $img.closest('figure').length > 0 ? $img.closest('figure') : $img;
+            const $heading = $block.nextAll('h2, h3').first();
+
+            images.push({
+                url: imageUrl,
+                title: $heading.text().trim(),
+                text: $heading.nextUntil('figure, img, h2, h3').map((i, el) => $(el).prop('outerHTML')).get().join(''),
+                description: $img.attr('alt') || 'Image Provided by Source',
+                attribution: $block.find('figcaption').text().trim()
+            });
+        });
+
+        const $firstImage = $('figure, img').first();
+        const introContent = $firstImage.length > 0
+            ? $firstImage.prevAll().map((i, el) => $(el).prop('outerHTML')).get().reverse().join('')
+            : $.html();
+
+        return {
+            content: this.stripHtml(introContent),
+            isSlideShow: true,
+            images: images
+        };
+    }
+
+
+    // -------- Ingesting methods (from sitemap + article pages)
+
+    /**
+     * Ingest articles listed in a sitemap, skipping pages whose lastmod hasn't changed
+     * @param {Object} config - Configuration object
+     * @param {Object} db - Database manager instance
+     * @returns {Promise<Object>} Object with ingested count and new count
+     */
+    async ingest(config, db) {
+        try {
+            const sitemapUrl = config.SITEMAP_URL || `${config.EXTERNAL_FEED_URL}/sitemap.xml`;
+            const maxItems = parseInt(config.SITEMAP_MAX_ITEMS) || this.maxItemsPerRun;
+            safeLog(console.log, `Ingesting sitemap from: ${sitemapUrl}`);
+
+            let entries = await this.fetchSitemapEntries(sitemapUrl, config);
+
+            // null means the root sitemap answered 304: nothing has changed since the last successful run
+            if (entries === null) {
+                console.log('Sitemap not modified since last run (304), skipping ingestion');
+                return {
+                    totalIngested: 0,
+                    totalNew: 0,
+                    pagesProcessed: 0,
+                    notModified: true
+                };
+            }
+
+            if (config.SITEMAP_URL_PATTERN) {
+                const pattern = new RegExp(config.SITEMAP_URL_PATTERN);
+                entries = entries.filter(entry => pattern.test(entry.loc));
+            }
+
+            // Newest first, so the per-run cap keeps the freshest pages
+            const totalEntries = entries.length;
+            entries = entries
+                .sort((a, b) => new Date(b.lastmod || 0) - new Date(a.lastmod || 0))
+                .slice(0, maxItems);
+
+            console.log(`Processing ${entries.length} sitemap entries (limit ${maxItems})`);
+
+            let totalIngested = 0;
+            let totalNew = 0;
+            let totalUnchanged = 0;
+            let totalFailed = 0;
+
+            for (const entry of entries) {
+                const contentHash = this.generateHash(entry.loc);
+
+                // Pages already ingested are only re-fetched when their lastmod moves
+                const existing = await db.getItemByHash(contentHash, config.EXTERNAL_FEED_SOURCE);
+                if (existing && (!entry.lastmod || !db.hasDifferentModifiedTime(entry.lastmod, existing.item_modified_at))) {
+                    totalUnchanged++;
+                    continue;
+                }
+
+                let post;
+                try {
+                    const html = await this.fetchPage(entry.loc, config);
+                    post = this.extractArticle(html, entry, config);
+                } catch (error) {
+                    console.warn(`Skipping ${entry.loc}: ${error.message}`);
+                    totalFailed++;
+                    continue;
+                }
+
+                const item = {
+                    guid: entry.loc,
+                    content_hash: contentHash,
+                    item_published_at: post.date,
+                    // lastmod is the change signal checked above, so store it rather than the page's own date
+                    item_modified_at: entry.lastmod ? this.toIsoDate(entry.lastmod) : post.modified,
+                    metadata: {
+                        id: entry.loc,
+                        title: post.title,
+                        date: post.date,
+                        modified: post.modified,
+                        link: post.link,
+                        author: post.author
+                    },
+                    full_content: this.applySourceCleanup(post, config)
+                };
+
+                const wasInserted = await db.insertItemDirect(item, config);
+                if (wasInserted) {
+                    totalNew++;
+                }
+                totalIngested++;
+            }
+
+            // A 304 for the root sitemap next run would skip these pages, so it is fetched in full until they are done
+            if (totalFailed > 0 || totalEntries > entries.length) {
+                httpClient.discardCacheEntry(this.buildRequest(sitemapUrl, '', config).url);
+                console.log(`Sitemap will be re-read next run: ${totalFailed} page(s) failed, ${totalEntries - entries.length} over the limit`);
+            }
+
+            console.log(`✅ Ingestion complete: ${totalIngested} fetched, ${totalNew} new items, ${totalUnchanged} unchanged${totalFailed > 0 ? `, ${totalFailed} failed` : ''}`);
+            return {
+                totalIngested,
+                totalNew,
+                pagesProcessed: totalIngested
+            };
+
+        } catch (error) {
+            console.error('Error ingesting sitemap:', error);
+            throw new Error(`Sitemap ingestion failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read a sitemap or sitemap index and return all page entries
+     * @param {string} sitemapUrl - URL of sitemap.xml or a sitemap index
+     * @param {Object} config - Configuration object with API settings
+     * @returns {Promise<Array<Object>|null>} Entries ({ loc, lastmod, newsTitle, newsDate }), or null if the root sitemap is not modified
+     */
+    async fetchSitemapEntries(sitemapUrl, config = {}) {
+        const queue = [sitemapUrl];
+        const visited = new Set();
+        const entries = [];
+
+        while (queue.length > 0 && visited.size < this.maxSitemaps) {
+            const url = queue.shift();
+            if (visited.has(url)) continue;
+            visited.add(url);
+
+            // Only the root sitemap is conditional; an index's lastmod values move whenever a child sitemap does
+            const xml = await this.fetchText(url, 'application/xml, text/xml', config, url === sitemapUrl);
+            if (xml === null) {
+                return null;
+            }
+
+            const parsed = await xml2js.parseStringPromise(xml, { explicitArray: false, trim: true });
+
+            if (parsed.sitemapindex) {
+                this.asArray(parsed.sitemapindex.sitemap).forEach(sitemap => {
+                    if (sitemap.loc) queue.push(sitemap.loc);
+                });
+                continue;
+            }
+
+            if (!parsed.urlset) {
+                throw new Error(`Unrecognised sitemap format at ${url} (expected <urlset> or <sitemapindex>)`);
+            }
+
+            this.asArray(parsed.urlset.url).forEach(url => {
+                if (!url.loc) return;
+
+                // Google News sitemaps carry the publication date and title in <news:news>
+                const news = url['news:news'] || {};
+
+                entries.push({
+                    loc: url.loc,
+                    lastmod: url.lastmod || news['news:publication_date'] || null,
+                    newsTitle: news['news:title'] || '',
+                    newsDate: news['news:publication_date'] || null
+                });
+            });
+        }
+
+        console.log(`Found ${entries.length} URLs in ${visited.size} sitemap(s)`);
+        return entries;
+    }
+
+    /**
+     * Fetch an article page
+     * @param {string} url - Page URL
+     * @param {Object} config - Configuration object with API settings
+     * @returns {Promise<string>} Page HTML
+     */
+    async fetchPage(url, config = {}) {
+        safeLog(console.log, `Fetching article page: ${url}`);
+        return this.fetchText(url, 'text/html', config);
+    }
+
+    /**
+     * Fetch a URL and return its body as text
+     * @param {string} url - URL to fetch
+     * @param {string} accept - Accept header
+     * @param {Object} config - Configuration object with API settings
+     * @param {boolean} conditional - Send cache validators for this request
+     * @returns {Promise<string|null>} Response body, or null if not modified
+     */
+    async fetchText(url, accept, config = {}, conditional = false) {
+        const request = this.buildRequest(url, accept, config);
+
+        const response = await httpClient.request(request.url, {
+            headers: request.headers,
+            conditional: conditional
+        });
+
+        assertAuthorized(response, request.auth, url);
+
+        if (response.status === 304) {
+            return null;
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return response.text();
+    }
+
+    /**
+     * Build an authenticated request for a sitemap or page URL
+     * @param {string} url - URL to fetch
+     * @param {string} accept - Accept header
+     * @param {Object} config - Configuration object with API settings
+     * @returns {Object} { url, headers, auth }
+     */
+    buildRequest(url, accept, config) {
+        const auth = getAuthStrategy(config, { sourceUrls: [config.SITEMAP_URL] });
+        const request = applyAuth(url, { 'Accept': accept }, auth);
+
+        return { ...request, auth };
+    }
+
+    /**
+     * Extract article fields from a page: JSON-LD first, then Open Graph, then CSS selectors
+     * @param {string} html - Page HTML
+     * @param {Object} entry - Sitemap entry for the page
+     * @param {Object} config - Configuration object
+     * @returns {Object} Stored post object
+     */
+    extractArticle(html, entry, config) {
+        const $ = cheerio.load(html);
+        const selectors = { ...DEFAULT_SELECTORS, ...this.parseJsonSetting(config.SITEMAP_SELECTORS, {}) };
+        const ld = this.extractJsonLd($);
+        const og = (property) => $(`meta[property="${property}"], meta[name="${property}"]`).attr('content') || '';
+        const bySelector = (selector, attr) => {
+            if (!selector) return '';
+            const $el = $(selector).first();
+            return ((attr ? $el.attr(attr) : $el.text()) || '').trim();
+        };
+
+        const title = this.text(ld.headline) || og('og:title') || entry.newsTitle || bySelector(selectors.title);
+        if (!title) {
+            throw new Error('No title found on page');
+        }
+
+        const date = this.toIsoDate(this.text(ld.datePublished))
+            || this.toIsoDate(og('article:published_time'))
+            || this.toIsoDate(entry.newsDate)
+            || this.toIsoDate(bySelector(selectors.published, 'datetime'))
+            || this.toIsoDate(entry.lastmod);
+
+        const modified = this.toIsoDate(this.text(ld.dateModified))
+            || this.toIsoDate(og('article:modified_time'))
+            || this.toIsoDate(bySelector(selectors.modified, 'datetime'))
+            || this.toIsoDate(entry.lastmod)
+            || date;
+
+        const author = this.extractLdAuthor(ld.author)
+            || og('article:author')
+            || og('author')
+            || bySelector(selectors.author);
+
+        const thumbnail = this.extractLdImage(ld.image)
+            || og('og:image')
+            || bySelector(selectors.image, 'src')
+            || null;
+
+        const categories = [];
+        [ld.articleSection, ld.keywords].forEach(value => {
+            const values = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+            values.map(v => String(v).trim()).filter(Boolean).forEach(v => {
+                if (!categories.includes(v)) categories.push(v);
+            });
+        });
+        if (categories.length === 0) {
+            $('meta[property="article:section"], meta[property="article:tag"]').each((index, element) => {
+                const value = ($(element).attr('content') || '').trim();
+                if (value && !categories.includes(value)) categories.push(value);
+            });
+        }
+
+        const bodyHtml = selectors.body ? $(selectors.body).first().html() : '';
+        if (!bodyHtml) {
+            throw new Error(`No article body found (selector: ${selectors.body})`);
+        }
+
+        const link = $('link[rel="canonical"]').attr('href') || og('og:url') || entry.loc;
+
+        return {
+            'id': entry.loc,
+            'date': date,
+            'modified': modified,
+            'guid': entry.loc,
+            'link': link,
+            'title': this.decodeHtmlEntities(title),
+            'author': author,
+            'categories': categories,
+            'thumbnail': thumbnail ? this.absoluteUrl(thumbnail, entry.loc) : null,
+            'og_image': og('og:image') ? this.absoluteUrl(og('og:image'), entry.loc) : null,
+            'content': this.cleanHtmlContent(bodyHtml, entry.loc, selectors.remove),
+            'excerpt': this.text(ld.description) || og('og:description') || og('description') || bySelector(selectors.description)
+        };
+    }
+
+    /**
+     * Find the Article-like JSON-LD object on the page
+     * @param {Function} $ - Cheerio instance
+     * @returns {Object} JSON-LD object or empty object
+     */
+    extractJsonLd($) {
+        const articleTypes = ['Article', 'NewsArticle', 'BlogPosting', 'ReportageNewsArticle'];
+        const candidates = [];
+
+        $('script[type="application/ld+json"]').each((index, element) => {
+            try {
+                const data = JSON.parse($(element).contents().text());
+                const nodes = Array.isArray(data) ? data : (data['@graph'] || [data]);
+                candidates.push(...nodes);
+            } catch (error) {
+                // Malformed JSON-LD is common; fall through to Open Graph
+            }
+        });
+
+        return candidates.find(node => {
+            const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+            return types.some(type => articleTypes.includes(type));
+        }) || {};
+    }
+
+    /**
+     * Read author names from a JSON-LD author value
+     * @param {*} author - String, Person object or array of either
+     * @returns {string} Comma-separated author names
+     */
+    extractLdAuthor(author) {
+        return this.asArray(author)
+            .map(value => (typeof value === 'string' ? value : value && value.name))
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    /**
+     * Read the first image URL from a JSON-LD image value
+     * @param {*} image - String, ImageObject or array of either
+     * @returns {string} Image URL or empty string
+     */
+    extractLdImage(image) {
+        const [first] = this.asArray(image);
+        if (!first) return '';
+        return typeof first === 'string' ? first : (first.url || first.contentUrl || '');
+    }
+
+
+    /**
+     * Check SITEMAP_SELECTORS and SITEMAP_URL_PATTERN without fetching anything
+     * @param {Object} config - Configuration object
+     * @returns {Array<string>} List of problems (empty if valid)
+     */
+    checkConfig(config = {}) {
+        const problems = [];
+
+        let selectors = this.parseJsonSetting(config.SITEMAP_SELECTORS, {}, message => problems.push(`invalid SITEMAP_SELECTORS: ${message}`));
+        if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+            problems.push('SITEMAP_SELECTORS: expected a JSON object of field to CSS selector');
+            selectors = {};
+        }
+
+        const $ = cheerio.load('');
+        for (const [field, selector] of Object.entries(selectors)) {
+            if (!(field in DEFAULT_SELECTORS)) {
+                problems.push(`SITEMAP_SELECTORS field "${field}" (expected ${Object.keys(DEFAULT_SELECTORS).join(', ')})`);
+            } else if (typeof selector !== 'string') {
+                problems.push(`SITEMAP_SELECTORS "${field}": expected a CSS selector string`);
+            } else if (selector) {
+                try {
+                    $(selector);
+                } catch (error) {
+                    problems.push(`SITEMAP_SELECTORS "${field}": invalid selector (${error.message})`);
+                }
+            }
+        }
+
+        if (config.SITEMAP_URL_PATTERN) {
+            try {
+                new RegExp(config.SITEMAP_URL_PATTERN);
+            } catch (error) {
+                problems.push(`invalid SITEMAP_URL_PATTERN: ${error.message}`);
+            }
+        }
+
+        return problems;
+    }
+
+
+    // -------- Convenient methods
+
+    /**
+     * Parse a setting that may be a JSON string (env) or an object (config file)
+     * @param {*} value - Raw setting value
+     * @param {*} fallback - Value to use when unset or invalid
+     * @param {Function} report - Receives the parse error message (by default logged as ignored)
+     * @returns {*} Parsed value
+     */
+    parseJsonSetting(value, fallback, report = message => console.warn(`Ignoring invalid JSON setting: ${message}`)) {
+        if (value === undefined || value === null || value === '') return fallback;
+        if (typeof value !== 'string') return value;
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            report(error.message);
+            return fallback;
+        }
+    }
+
+    /**
+     * Clean scraped HTML by removing scripts, page chrome and configured selectors,
+     * and resolving lazy-loaded and relative image URLs
+     * @param {string} htmlContent - Raw HTML content
+     * @param {string} pageUrl - Page URL for resolving relative URLs
+     * @param {string} removeSelectors - Extra selectors to remove (SITEMAP_SELECTORS.remove)
+     * @returns {string} Cleaned HTML content
+     */
+    cleanHtmlContent(htmlContent, pageUrl, removeSelectors = '') {
+        if (!htmlContent) return htmlContent;
+
+        const $ = cheerio.load(htmlContent);
+
+        // Remove scripts, styles and page chrome that may sit inside the article element
+        $('script, style, noscript, nav, aside, form, h1').remove();
+
+        if (removeSelectors) {
+            $(removeSelectors).remove();
+        }
+
+        $('img').each((index, element) => {
+            const $img = $(element);
+            const src = $img.attr('data-src') || $img.attr('data-lazy-src') || $img.attr('src');
+            if (src) {
+                $img.attr('src', this.absoluteUrl(src, pageUrl));
+            }
+        });
+
+        return this.unwrapDocument($);
+    }
+
+}
+
+module.exports = new SitemapDriver();
@@ -1,56 +1,39 @@
-const cheerio = require('cheerio');
 const { safeLog } = require('../utils/sensitive-data');
+const { getAuthStrategy, applyAuth, assertAuthorized } = require('../utils/auth');
+const httpClient = require('../utils/http');
+const { getBlockRules, transformBlocks } = require('../utils/gutenberg');
+const { getSlideshowRules, extractSlides } = require('../utils/slideshow');
+const { getCleanupRules, applyCleanupRules } = require('../utils/html-cleanup');
+const { extractVideoFromHtml } = require('../utils/video');
+const { BaseDriver } = require('./base');
 
-class WordPressDriver {
+class WordPressDriver extends BaseDriver {
     constructor() {
-        this.name = 'WordPress';
+        super('WordPress');
         this.supportedFormats = ['rest-api'];
         this.postsPerPage = 20; // Hard-coded for now
+        this.lookupBatchSize = 100; // WP REST API per_page maximum
+        this.lookupCache = new Map(); // Author/term lookups for the current ingest
     }    
 
     // -------- Fetch from DB methods
 
-    /**
-     * Fetch full content for a specific WordPress post from database
-     * @param {string} contentHash - Content hash for the item
-     * @param {Object} config - Configuration object
-     * @param {Object} db - Database manager instance
-     * @returns {Promise<Object>} Full content object
-     */
-    async fetchContent(contentHash, config, db) {
-        try {
-            safeLog(console.log, `Fetching content from database for hash: ${contentHash}`);
-            
-            // Get item from database
-            const dbItem = await db.getItemByHash(contentHash, config.EXTERNAL_FEED_SOURCE);
-            if (!dbItem) {
-                throw new Error(`Content not found in database: ${contentHash}`);
-            }
-            
-            // Return the stored full content
-            if (dbItem.full_content) {
-                // MySQL2 automatically parses JSON fields, so no need to JSON.parse
-                return dbItem.full_content;
-            }
-            
-            throw new Error(`No full content stored for hash: ${contentHash}`);
-            
-        } catch (error) {
-            console.error('Error fetching WordPress content from database:', error);
-            throw new Error(`WordPress content fetch failed: ${error.message}`);
-        }
-    }    
-
     /**
      * Normalize WordPress post for feed generation
      * @param {Object} post - Raw WordPress post
-     * @param {string} feedType - Feed type (article/slideshow)
+     * @param {string} feedType - Feed type (article/slideshow/video)
+     * @param {Object} config - Configuration object (block, slideshow and video rules, lead image fallbacks)
      * @returns {Object} Normalized post object
      */
-    normalizePost(post, feedType = '') {
-        const parsedContent = this.parseContent(post.content, feedType);
+    normalizePost(post, feedType = '', config = {}) {
+        const parsedContent = this.parseContent(post.content, feedType, config);
         
-        return {
+        const minSlides = parseInt(config.WP_SLIDESHOW_MIN_SLIDES) || 0;
+        if (parsedContent.isSlideShow && parsedContent.images.length < minSlides) {
+            console.warn(`Slideshow "${post.title}" produced ${parsedContent.images.length} slide(s), expected at least ${minSlides} - check WP_SLIDESHOW_PRESET / WP_SLIDESHOW_RULES`);
+        }
+        
+        const normalized = {
             title: post.title,
             shortTitle: post.title, // Can be customized if needed
             description: post.excerpt,
@@ -65,15 +48,23 @@ class WordPressDriver {
             featuredImage: post.thumbnail,
             images: parsedContent.images
         };
+        
+        if (parsedContent.video !== undefined) {
+            normalized.video = parsedContent.video;
+        }
+        
+        // Slideshow content is the intro text only, so look for a content image in the stored HTML
+        return this.applyThumbnailFallbacks(normalized, { featured: post.thumbnail, og: post.og_image, content: post.content }, config);
     }
 
     /**
      * Parse WordPress content based on explicit feed type
      * @param {string} content - Raw HTML content
-     * @param {string} feedType - The EXTERNAL_FEED_TYPE ("slideshow" or "article")
+     * @param {string} feedType - The EXTERNAL_FEED_TYPE ("slideshow", "video" or "article")
+     * @param {Object} config - Configuration object (block, slideshow and video rules)
      * @returns {Object} Parsed content with type and structured data
      */
-    parseContent(content, feedType = '') {
+    parseContent(content, feedType = '', config = {}) {
         if (!content) {
             return {
                 content: '',
@@ -87,11 +78,22 @@ class WordPressDriver {
         
         if (isSlideShow) {
             // Parse as slideshow
-            return this.parseSlideShow(content);
+            return this.parseSlideShow(content, config);
+        } else if (feedType.toLowerCase() === 'video') {
+            // Parse as video - the first video in the post is the item's video
+            return {
+                content: transformBlocks(content, getBlockRules(config)),
+                isSlideShow: false,
+                images: [],
+                video: extractVideoFromHtml(content, {
+                    baseUrl: config.EXTERNAL_FEED_URL,
+                    transcriptSelector: config.VIDEO_TRANSCRIPT_SELECTOR
+                })
+            };
         } else {
-            // Parse as article - keep HTML as is
+            // Parse as article - map Gutenberg blocks to MSN-supported markup
             return {
-                content: content,
+                content: transformBlocks(content, getBlockRules(config)),
                 isSlideShow: false,
                 images: []
             };
@@ -99,83 +101,21 @@ class WordPressDriver {
     }    
 
     /**
-     * Parse slideshow content from WordPress using Cheerio
+     * Parse slideshow content from WordPress using the source's slide rules
      * @param {string} content - Raw HTML content
+     * @param {Object} config - Configuration object (slideshow preset/rules)
      * @returns {Object} Parsed slideshow data
      */
-    parseSlideShow(content) {
-        const $ = cheerio.load(content);
+    parseSlideShow(content, config = {}) {
+        // Re-apply the source's cleanup rules: items stored before a rule was added still have that markup
+        const html = applyCleanupRules(content, getCleanupRules(config));
         
-        // Remove sidebar elements
-        $('.entry__sidebar').remove();
-        
-        // Remove all div tags but keep their content
-        $('div').contents().unwrap();
-        
-        const images = [];
-        let slideIndex = 1;
-        
-        // Find all slide structures: figure followed by h2
-        $('figure.wp-block-image').each((index, figureElement) => {
-            const $figure = $(figureElement);
-            const $img = $figure.find('img');
-            
-            if ($img.length === 0) return; // Skip if no image found
-            
-            const imageUrl = $img.attr('src') || $img.attr('data-src') || null;
-            const altText = $img.attr('alt') || '';
-            
-            if (!imageUrl) return; // Skip if no image URL
-
-            const attribution = $figure.find('.wp-element-caption').text() || '';
-            
-            // Find the next h2 element after this figure
-            const $nextH2 = $figure.nextAll('h2.wp-block-heading').first();
-            const title = $nextH2.text().trim();
-            
-            // Find content between this h2 and the next slide or end
-            let slideContent = '';
-            let $current = $nextH2.next();
-            
-            while ($current.length > 0) {
-                // Stop if we hit another slide
-                if ($current.is('figure.wp-block-image')) {
-                    break;
-                }
-                
-                slideContent += $current.prop('outerHTML') || $current.text();
-                $current = $current.next();
-            }
-            
-            images.push({
-                url: imageUrl,
-                title: title,
-                text: slideContent,
-                description: altText || 'Image Provided by Source',
-                attribution: attribution
-            });
-            
-            slideIndex++;
-        });
-        
-        // Find intro content (everything before first slide)
-        const $firstSlide = $('figure.wp-block-image.size-large').first();
-        let introContent = '';
-        
-        if ($firstSlide.length > 0) {
-            // Get all content before the first slide
-            $firstSlide.prevAll().each((index, element) => {
-                introContent = $(element).prop('outerHTML') + introContent;
-            });
-        } else {
-            // If no slides found, use all content
-            introContent = $.html();
-        }
+        const { intro, slides } = extractSlides(html, getSlideshowRules(config));
         
         return {
-            content: this.stripHtml(introContent),
+            content: this.stripHtml(intro),
             isSlideShow: true,
-            images: images
+            images: slides
         };
     }    
         
@@ -184,6 +124,8 @@ class WordPressDriver {
 
     /**
      * Ingest WordPress posts with pagination support
+     * New sources (or INGEST_FULL_CRAWL) walk every page; existing sources only fetch posts
+     * modified after the stored modified_gmt high-water mark.
      * @param {Object} config - Configuration object
      * @param {Object} db - Database manager instance
      * @returns {Promise<Object>} Object with ingested count and new count
@@ -196,16 +138,36 @@ class WordPressDriver {
             const isNewSource = await db.isNewSource(config);
             console.log(`Source status: ${isNewSource ? 'NEW' : 'EXISTING'}`);
             
+            const forceFullCrawl = config.INGEST_FULL_CRAWL === 'true' || config.INGEST_FULL_CRAWL === true;
+            const storedHighWaterMark = await db.getSourceState(config, 'high_water_mark');
+            const modifiedAfter = (isNewSource || forceFullCrawl) ? null : storedHighWaterMark;
+            
+            if (modifiedAfter) {
+                console.log(`Incremental crawl: posts modified after ${modifiedAfter} (GMT)`);
+            } else {
+                console.log(`Full crawl: ${forceFullCrawl ? 'requested' : (isNewSource ? 'new source' : 'no high-water mark stored')}`);
+            }
+            
             let totalIngested = 0;
             let totalNew = 0;
             let currentPage = 1;
             let totalPages = 1;
+            let highWaterMark = storedHighWaterMark;
+            let savedHighWaterMark = storedHighWaterMark;
+            let notModified = false;
             
             do {
                 console.log(`Fetching page ${currentPage} of ${totalPages}...`);
                 
                 // Fetch posts for current page
-                const { posts, headers } = await this.fetchPosts(config.EXTERNAL_FEED_URL, config, currentPage);
+                const { posts, headers, notModified: pageNotModified } = await this.fetchPosts(config.EXTERNAL_FEED_URL, config, currentPage, modifiedAfter);
+                
+                // Page 1 answered 304: nothing has changed since the last successful run
+                if (pageNotModified) {
+                    console.log('Page 1 not modified since last run (304), skipping ingestion');
+                    notModified = true;
+                    break;
+                }
                 
                 // Update total pages from headers
                 if (headers['x-wp-totalpages']) {
@@ -213,10 +175,13 @@ class WordPressDriver {
                     console.log(`Total pages available: ${totalPages} (total posts: ${headers['x-wp-total'] || 'unknown'})`);
                 }
                 
+                // Resolve author, categories and thumbnail from the configured sources
+                const resolvedMetadata = await this.resolvePostsMetadata(config.EXTERNAL_FEED_URL, posts, config);
+                
                 // Process and insert posts directly to database
                 for (const post of posts) {
                     // Clean the post content during ingestion
-                    const cleanedPost = this.cleanPostContent(post);
+                    const cleanedPost = this.cleanPostContent(post, resolvedMetadata.get(post.id));
                     
                     const item = {
                         guid: cleanedPost.id,
@@ -232,7 +197,7 @@ class WordPressDriver {
                             author: post.author
                         },
                         // WordPress provides full content in listing, so store it (cleaned)
-                        full_content: cleanedPost
+                        full_content: this.applySourceCleanup(cleanedPost, config)
                     };
                     
                     const wasInserted = await db.insertItemDirect(item, config);
@@ -240,30 +205,49 @@ class WordPressDriver {
                         totalNew++;
                     }
                     totalIngested++;
+                    
+                    // modified_gmt is a fixed-width "YYYY-MM-DDTHH:MM:SS" string, so it compares lexically
+                    if (post.modified_gmt && (!highWaterMark || post.modified_gmt > highWaterMark)) {
+                        highWaterMark = post.modified_gmt;
+                    }
                 }
                 
                 console.log(`Page ${currentPage}: ${posts.length} posts processed, ${totalNew} new items so far`);
                 
-                currentPage++;
+                // Incremental pages arrive oldest-first, so the mark can advance page by page;
+                // a full crawl is newest-first and only records the mark once every page is stored
+                if (modifiedAfter && highWaterMark !== savedHighWaterMark) {
+                    await db.setSourceState(config, 'high_water_mark', highWaterMark);
+                    savedHighWaterMark = highWaterMark;
+                }
                 
-                // For existing sources, only process first page
-                // if (!isNewSource && currentPage > 1) {
-                //     console.log('Existing source - stopping after first page');
-                //     break;
-                // }
+                currentPage++;
                 
             } while (currentPage <= totalPages);
             
+            if (highWaterMark && highWaterMark !== savedHighWaterMark) {
+                await db.setSourceState(config, 'high_water_mark', highWaterMark);
+            }
+            
+            if (highWaterMark !== storedHighWaterMark) {
+                console.log(`High-water mark advanced to ${highWaterMark} (GMT)`);
+            }
+            
             console.log(`✅ Ingestion complete: ${totalIngested} total, ${totalNew} new items`);
             return {
                 totalIngested,
                 totalNew,
-                pagesProcessed: currentPage - 1
+                pagesProcessed: currentPage - 1,
+                incremental: Boolean(modifiedAfter),
+                notModified: notModified
             };
             
         } catch (error) {
             console.error('Error ingesting WordPress posts:', error);
             throw new Error(`WordPress ingestion failed: ${error.message}`);
+        } finally {
+            // Author and term lookups are only reused within one ingest, so renamed terms show up on the next run
+            this.lookupCache.clear();
         }
     }    
 
@@ -272,9 +256,10 @@ class WordPressDriver {
      * @param {string} baseUrl - Base URL of the WordPress site
      * @param {Object} config - Configuration object with API settings
      * @param {number} page - Page number to fetch
-     * @returns {Promise<Object>} Object with posts array and headers
+     * @param {string|null} modifiedAfter - Only fetch posts modified after this modified_gmt value
+     * @returns {Promise<Object>} Object with posts array, headers and notModified flag
      */
-    async fetchPosts(baseUrl, config, page = 1) {
+    async fetchPosts(baseUrl, config, page = 1, modifiedAfter = null) {
         try {
             const filterParam = config.WP_API_POSTS_FILTER || '';
             const filterValue = config.WP_API_POSTS_FILTER_VALUE || '';
@@ -291,6 +276,18 @@ class WordPressDriver {
                 queryParams[filterParam] = filterValue;
             }            
 
+            // Embed author, terms and featured media when the embed source is in use
+            if (this.getMetadataSources(config).includes('embed')) {
+                queryParams['_embed'] = 'author,wp:term,wp:featuredmedia';
+            }
+
+            // Incremental crawl: oldest changes first so the high-water mark can advance per page
+            if (modifiedAfter) {
+                queryParams['modified_after'] = `${modifiedAfter}Z`;
+                queryParams['orderby'] = 'modified';
+                queryParams['order'] = 'asc';
+            }
+
             let apiUrl = [];
             for (const [key, value] of Object.entries(queryParams)) {
                 apiUrl.push(`${key}=${encodeURIComponent(value)}`);
@@ -299,15 +296,23 @@ class WordPressDriver {
             
             safeLog(console.log, `Fetching WordPress posts from: ${apiUrl}`);
             
-            const headers = {
-                'Content-Type': 'application/json'
-            };
+            const request = this.buildRequest(apiUrl, config);
+            // Incremental page 1 lists the oldest change since the mark, so any new edit changes it;
+            // newest-first pages don't reflect edits to older posts and are always fetched in full
+            const response = await httpClient.request(request.url, {
+                headers: request.headers,
+                conditional: Boolean(modifiedAfter) && page === 1
+            });
             
-            if (config.WP_API_TOKEN) {
-                headers['Authorization'] = `Bearer ${config.WP_API_TOKEN}`;
-            }
+            assertAuthorized(response, request.auth, apiUrl);
             
-            const response = await fetch(apiUrl, { headers });
+            if (response.status === 304) {
+                return {
+                    posts: [],
+                    headers: {},
+                    notModified: true
+                };
+            }
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -328,7 +333,8 @@ class WordPressDriver {
             
             return {
                 posts: posts,
-                headers: responseHeaders
+                headers: responseHeaders,
+                notModified: false
             };
             
         } catch (error) {
@@ -338,37 +344,291 @@ class WordPressDriver {
     }    
 
 
-    // -------- Convenient methods
+    /**
+     * Build an authenticated WordPress REST API request
+     * WP_API_TOKEN is sent as a bearer token unless API_AUTH_TYPE says otherwise
+     * (e.g. application-password for WordPress Application Passwords).
+     * @param {string} apiUrl - Request URL
+     * @param {Object} config - Configuration object with API settings
+     * @returns {Object} { url, headers, auth }
+     */
+    buildRequest(apiUrl, config) {
+        const auth = getAuthStrategy(config, { token: config.WP_API_TOKEN });
+        const request = applyAuth(apiUrl, { 'Content-Type': 'application/json' }, auth);
+        
+        return { ...request, auth };
+    }
+
+
+    // -------- Metadata resolution (author, categories, thumbnail)
 
     /**
-     * Strip HTML tags from text using Cheerio
-     * @param {string} html - HTML string
-     * @returns {string} Plain text
+     * Get the ordered list of metadata sources from config
+     * The first source is authoritative; later sources only fill fields it could not provide.
+     * @param {Object} config - Configuration object
+     * @returns {Array<string>} Sources: 'embed', 'rest' and/or 'yoast'
      */
-    stripHtml(html) {
-        if (!html) return '';
-        const $ = cheerio.load(html);
-        return $.text().replace(/\s+/g, ' ').trim();
+    getMetadataSources(config) {
+        const sources = config.WP_METADATA_SOURCES || 'yoast,embed';
+        return (Array.isArray(sources) ? sources : String(sources).split(','))
+            .map(source => source.trim().toLowerCase())
+            .filter(source => ['embed', 'rest', 'yoast'].includes(source));
     }
 
     /**
-     * Decode HTML entities in text
-     * @param {string} text - Text with HTML entities
-     * @returns {string} Decoded text
+     * Get the taxonomies whose terms become MSN categories
+     * @param {Object} config - Configuration object
+     * @returns {Array<string>} Taxonomy names (e.g. 'category', 'post_tag')
      */
-    decodeHtmlEntities(text) {
-        if (!text) return text;
-        
-        const $ = cheerio.load(text);
-        return $.text();
-    }    
+    getCategoryTaxonomies(config) {
+        const taxonomies = config.WP_CATEGORY_TAXONOMIES || 'category';
+        return (Array.isArray(taxonomies) ? taxonomies : String(taxonomies).split(','))
+            .map(taxonomy => taxonomy.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Resolve author, categories and thumbnail for a page of posts
+     * @param {string} baseUrl - Base URL of the WordPress site
+     * @param {Array<Object>} posts - Raw WordPress posts
+     * @param {Object} config - Configuration object
+     * @returns {Promise<Map<number, Object>>} Map of post id to { author, categories, thumbnail }
+     */
+    async resolvePostsMetadata(baseUrl, posts, config) {
+        const sources = this.getMetadataSources(config);
+        const taxonomies = this.getCategoryTaxonomies(config);
+        const resolved = new Map();
+
+        const restLookups = sources.includes('rest')
+            ? await this.fetchRestLookups(baseUrl, posts, taxonomies, config)
+            : null;
+
+        for (const post of posts) {
+            const candidates = sources.map(source => {
+                if (source === 'embed') return this.extractEmbeddedMetadata(post, taxonomies);
+                if (source === 'rest') return this.extractRestMetadata(post, taxonomies, restLookups);
+                return this.extractYoastMetadata(post);
+            });
+
+            const pick = (field) => {
+                const match = candidates.find(candidate => {
+                    const value = candidate[field];
+                    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+                });
+                return match ? match[field] : null;
+            };
+
+            resolved.set(post.id, {
+                author: pick('author') || '',
+                categories: pick('categories') || [],
+                thumbnail: pick('thumbnail')
+            });
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Read metadata from Yoast's yoast_head_json, searching the whole schema graph
+     * @param {Object} post - Raw WordPress post
+     * @returns {Object} { author, categories, thumbnail } (fields may be empty)
+     */
+    extractYoastMetadata(post) {
+        const yoast = post.yoast_head_json;
+        if (!yoast) return {};
+
+        const graph = (yoast.schema && Array.isArray(yoast.schema['@graph'])) ? yoast.schema['@graph'] : [];
+        const article = graph.find(node => node && node.articleSection) || graph.find(node => node && node.thumbnailUrl) || {};
+        const sections = article.articleSection;
+
+        return {
+            author: yoast.author || '',
+            categories: Array.isArray(sections) ? sections : (sections ? [sections] : []),
+            // og:image is a separate step in the lead image fallbacks (THUMBNAIL_FALLBACKS)
+            thumbnail: article.thumbnailUrl || null
+        };
+    }
+
+    /**
+     * Read the first og:image from Yoast's yoast_head_json
+     * @param {Object} post - Raw WordPress post
+     * @returns {string|null} Image URL or null
+     */
+    extractOgImage(post) {
+        const ogImages = post.yoast_head_json && post.yoast_head_json.og_image;
+        return Array.isArray(ogImages) && ogImages.length > 0 && ogImages[0].url ? ogImages[0].url : null;
+    }
+
+    /**
+     * Read metadata from the post's _embedded data
+     * @param {Object} post - Raw WordPress post (fetched with _embed)
+     * @param {Array<string>} taxonomies - Taxonomies to use as categories
+     * @returns {Object} { author, categories, thumbnail } (fields may be empty)
+     */
+    extractEmbeddedMetadata(post, taxonomies) {
+        const embedded = post._embedded;
+        if (!embedded) return {};
+
+        const author = Array.isArray(embedded.author) && embedded.author[0] ? embedded.author[0].name : '';
+
+        // wp:term is an array per taxonomy, each holding term objects
+        const categories = [];
+        (embedded['wp:term'] || []).forEach(terms => {
+            (terms || []).forEach(term => {
+                if (!term || !taxonomies.includes(term.taxonomy)) return;
+                const name = this.decodeHtmlEntities(term.name);
+                if (name && !categories.includes(name)) {
+                    categories.push(name);
+                }
+            });
+        });
+
+        const media = Array.isArray(embedded['wp:featuredmedia']) ? embedded['wp:featuredmedia'][0] : null;
+
+        return {
+            author: author || '',
+            categories: categories,
+            thumbnail: media && media.source_url ? media.source_url : null
+        };
+    }
+
+    /**
+     * Read metadata from batched REST lookups
+     * @param {Object} post - Raw WordPress post
+     * @param {Array<string>} taxonomies - Taxonomies to use as categories
+     * @param {Object} lookups - Result of fetchRestLookups
+     * @returns {Object} { author, categories, thumbnail } (fields may be empty)
+     */
+    extractRestMetadata(post, taxonomies, lookups) {
+        if (!lookups) return {};
+
+        const categories = [];
+        taxonomies.forEach(taxonomy => {
+            const field = this.getTaxonomyRestBase(taxonomy);
+            (post[field] || []).forEach(id => {
+                const name = lookups.terms.get(`${field}:${id}`);
+                if (name && !categories.includes(name)) {
+                    categories.push(name);
+                }
+            });
+        });
+
+        return {
+            author: lookups.users.get(post.author) || '',
+            categories: categories,
+            thumbnail: post.featured_media ? (lookups.media.get(post.featured_media) || null) : null
+        };
+    }
+
+    /**
+     * Fetch the users, terms and media referenced by a page of posts in batches, using the cache
+     * @param {string} baseUrl - Base URL of the WordPress site
+     * @param {Array<Object>} posts - Raw WordPress posts
+     * @param {Array<string>} taxonomies - Taxonomies to use as categories
+     * @param {Object} config - Configuration object
+     * @returns {Promise<Object>} { users, terms, media } maps
+     */
+    async fetchRestLookups(baseUrl, posts, taxonomies, config) {
+        const collect = (field) => [...new Set(posts.flatMap(post => {
+            const value = post[field];
+            return Array.isArray(value) ? value : (value ? [value] : []);
+        }))];
+
+        const users = await this.lookupByIds(baseUrl, 'users', collect('author'), user => user.name, config);
+        const media = await this.lookupByIds(baseUrl, 'media', collect('featured_media'), item => item.source_url, config);
+
+        const terms = new Map();
+        for (const taxonomy of taxonomies) {
+            const restBase = this.getTaxonomyRestBase(taxonomy);
+            const names = await this.lookupByIds(baseUrl, restBase, collect(restBase), term => this.decodeHtmlEntities(term.name), config);
+            names.forEach((name, id) => terms.set(`${restBase}:${id}`, name));
+        }
+
+        return { users, terms, media };
+    }
+
+    /**
+     * Look up REST resources by id with ?include=, caching results per site and endpoint
+     * @param {string} baseUrl - Base URL of the WordPress site
+     * @param {string} endpoint - REST base (e.g. 'categories', 'users', 'media')
+     * @param {Array<number>} ids - Ids to resolve
+     * @param {Function} mapValue - Maps a resource to the cached value
+     * @param {Object} config - Configuration object with API settings
+     * @returns {Promise<Map<number, *>>} Map of id to value
+     */
+    async lookupByIds(baseUrl, endpoint, ids, mapValue, config) {
+        const result = new Map();
+        const cacheKey = (id) => `${baseUrl}|${endpoint}|${id}`;
+        const missing = [];
+
+        ids.forEach(id => {
+            if (this.lookupCache.has(cacheKey(id))) {
+                result.set(id, this.lookupCache.get(cacheKey(id)));
+            } else {
+                missing.push(id);
+            }
+        });
+
+        for (let i = 0; i < missing.length; i += this.lookupBatchSize) {
+            const batch = missing.slice(i, i + this.lookupBatchSize);
+            const apiUrl = `${baseUrl}/wp-json/wp/v2/${endpoint}?include=${batch.join(',')}&per_page=${batch.length}`;
+
+            try {
+                const request = this.buildRequest(apiUrl, config);
+                const response = await httpClient.request(request.url, { headers: request.headers });
+
+                assertAuthorized(response, request.auth, apiUrl);
+
+                if (!response.ok) {
+                    console.warn(`Failed to fetch ${endpoint} batch: HTTP ${response.status}`);
+                    continue;
+                }
+
+                const resources = await response.json();
+                resources.forEach(resource => {
+                    const value = mapValue(resource);
+                    this.lookupCache.set(cacheKey(resource.id), value);
+                    result.set(resource.id, value);
+                });
+
+            } catch (error) {
+                // Rejected credentials fail the ingest like any other request would
+                if (error.isAuthError) {
+                    throw error;
+                }
+                // Lookups only enrich posts; a failed batch (network, bad JSON) falls back to the other sources
+                console.warn(`Error fetching ${endpoint} batch: ${error.message}`);
+            }
+        }
+
+        return result;
+    }
 
     /**
-     * Clean post content during ingestion - remove script tags and ad-dog divs
+     * Map a taxonomy name to its REST base and post field
+     * @param {string} taxonomy - Taxonomy name
+     * @returns {string} REST base (e.g. 'categories' for 'category')
+     */
+    getTaxonomyRestBase(taxonomy) {
+        const builtIn = {
+            category: 'categories',
+            post_tag: 'tags'
+        };
+        return builtIn[taxonomy] || taxonomy;
+    }
+
+
+    // -------- Convenient methods
+
+    /**
+     * Clean post content during ingestion - remove script tags (source rules are applied by applySourceCleanup)
      * @param {Object} post - Raw WordPress post
+     * @param {Object} metadata - Resolved { author, categories, thumbnail } (see resolvePostsMetadata)
      * @returns {Object} Cleaned post object
      */
-    cleanPostContent(post) {
+    cleanPostContent(post, metadata = null) {
+        const resolved = metadata || this.extractYoastMetadata(post);
+        
         // Create a deep copy of the post to avoid modifying the original
         const cleanedPost = JSON.parse(JSON.stringify(post));
         let finalCleanedPost = {
@@ -381,9 +641,11 @@ class WordPressDriver {
             'slug': cleanedPost.slug,
             'link': cleanedPost.link,
             'title': this.decodeHtmlEntities(cleanedPost.title.rendered),
-            'author': cleanedPost.yoast_head_json.author,
-            'categories': cleanedPost.yoast_head_json.schema['@graph'][0]['articleSection'],
-            'thumbnail': cleanedPost.yoast_head_json.schema['@graph'][0]['thumbnailUrl']
+            'author': resolved.author || '',
+            'categories': resolved.categories || [],
+            'thumbnail': resolved.thumbnail || null,
+            // Kept separately for the lead image fallbacks (THUMBNAIL_FALLBACKS)
+            'og_image': this.extractOgImage(cleanedPost)
         };
         
         // Clean the content.rendered field if it exists
@@ -397,45 +659,7 @@ class WordPressDriver {
         }
         
         return finalCleanedPost;
-    }    
-
-    /**
-     * Clean HTML content by removing script tags and ad-dog divs
-     * @param {string} htmlContent - Raw HTML content
-     * @returns {string} Cleaned HTML content
-     */
-    cleanHtmlContent(htmlContent) {
-        if (!htmlContent) return htmlContent;
-        
-        const $ = cheerio.load(htmlContent);
-        
-        // Remove all script tags
-        $('script').remove();
-        
-        // Remove all div tags with class names containing "ad-dog"
-        $('div[class*="ad-dog"]').remove();
-        
-        // Remove html, head, and body tags if they exist
-        $('head').remove();
-        $('body').contents().unwrap();
-        $('html').contents().unwrap();
-        
-        // Get the cleaned content
-        return $.html();
-    }    
-
-    /**
-     * Generate hash for content tracking
-     * @param {string} guid - Unique identifier
-     * @returns {string} SHA256 hash
-     */
-    generateHash(guid) {
-        const crypto = require('crypto');
-        return crypto
-            .createHash('sha256')
-            .update(`${this.name}:${guid}`)
-            .digest('hex');
-    }    
+    }
 }
 
 module.exports = new WordPressDriver();
\ No newline at end of file
@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 
 const AWS = require('aws-sdk');
+const fs = require('fs').promises;
+const path = require('path');
 const dotenv = require('dotenv');
 const ConfigLoader = require('./utils/config-loader');
 const { getProfanityList, filterProfanity, findProfanityWords, containsProfanity } = require('./utils/profanity');
@@ -8,18 +10,28 @@ const { uploadToS3, saveToFile, invalidateCloudFront, testAWSCredentials } = req
 const MSNConverter = require('./utils/msn-converter');
 const DatabaseManager = require('./utils/database');
 const { getFeedDriver, getAvailableFeedTypes } = require('./drivers');
+const { validateNormalizedPost } = require('./drivers/base');
 const { safeLog } = require('./utils/sensitive-data');
 const logger = require('./utils/logger');
+const httpClient = require('./utils/http');
 const { sendProfanityAlert } = require('./utils/slack');
+const { getCleanupRules, applyCleanupRules, describeRule } = require('./utils/html-cleanup');
+const { sanitizePost, summarizeReport } = require('./utils/msn-sanitizer');
+const imageProbe = require('./utils/image-probe');
+const imageRehost = require('./utils/image-rehost');
+const { getThumbnailFallbacks, isImageUrl } = require('./utils/thumbnail');
+const { getValidationOptions, validateFeed, formatReport } = require('./utils/feed-validator');
 
 /**
  * Main EC2 application function with two-phase processing
  * Phase 1: Ingest new content
  * Phase 2: Generate feed from ingested content
  * @param {string} configFile - Config file path
+ * @param {Object} options - Run options
+ * @param {boolean} options.fullCrawl - Ignore incremental state and re-crawl the whole source
  * @returns {Object} Response object
  */
-async function runFeedConverter(configFile) {
+async function runFeedConverter(configFile, options = {}) {
     const startTime = new Date();
     logger.info('🚀 Starting RSS-to-MSN feed processing...');
     
@@ -30,6 +42,10 @@ async function runFeedConverter(configFile) {
         const configLoader = new ConfigLoader();
         const config = await configLoader.loadConfig(configFile);
         
+        if (options.fullCrawl) {
+            config.INGEST_FULL_CRAWL = true;
+        }
+        
         // Validate required configuration variables
         const missingVars = configLoader.validateRequiredConfig(config);
         
@@ -37,6 +53,17 @@ async function runFeedConverter(configFile) {
             throw new Error(`Missing required configuration variables: ${missingVars.join(', ')}`);
         }
         
+        const invalidValues = configLoader.validateConfigValues(config);
+        
+        if (invalidValues.length > 0) {
+            throw new Error(`Invalid configuration: ${invalidValues.join('; ')}`);
+        }
+        
+        // Apply timeouts, retries, rate limits and User-Agent to all outbound requests
+        httpClient.configure(config);
+        imageProbe.configure(config);
+        imageRehost.configure(config);
+        
         safeLog((...args) => logger.info(...args), `Processing ${config.EXTERNAL_FEED_TYPE} ${config.EXTERNAL_FEED_PLATFORM} feed from: ${config.EXTERNAL_FEED_URL}`);
         
         // Initialize database connection
@@ -44,8 +71,15 @@ async function runFeedConverter(configFile) {
         db = new DatabaseManager(config);
         await db.connect();
         
+        // ETag / Last-Modified validators are stored per URL so unchanged sources answer 304
+        httpClient.useCache(db);
+        
+        // Image types and dimensions are stored per URL so each image is only probed once
+        imageProbe.useCache(db);
+        imageRehost.useCache(db);
+        
         // Get appropriate feed driver
-        const driver = getFeedDriver(config.EXTERNAL_FEED_PLATFORM);
+        const driver = getFeedDriver(config.EXTERNAL_FEED_PLATFORM, config);
         if (!driver) {
             throw new Error(`Unsupported feed platform: ${config.EXTERNAL_FEED_PLATFORM}`);
         }
@@ -86,6 +120,10 @@ async function runFeedConverter(configFile) {
         let processedCount = 0;
         let skippedCount = 0;
         const feedItems = [];
+        // Database row behind each feed post, so items dropped by feed validation can be marked skipped
+        const feedItemRows = new Map();
+        // New items and their processed data; they are only marked published once the feed is stored
+        const pendingPublish = new Map();
         const processedContentHashes = [];
 
         // Process each pending item
@@ -97,7 +135,47 @@ async function runFeedConverter(configFile) {
                 const fullContent = await driver.fetchContent(item.content_hash, config, db);
 
                 // Normalize the content
-                const normalizedPost = driver.normalizePost(fullContent, config.EXTERNAL_FEED_TYPE);
+                const driverPost = driver.normalizePost(fullContent, config.EXTERNAL_FEED_TYPE, config);
+                // dcterms:modified comes from the stored modified date unless the driver sets one
+                if (!driverPost.modified && item.item_modified_at) {
+                    driverPost.modified = item.item_modified_at;
+                }
+
+                // Drivers (including plugins) must produce posts the MSN converter can render
+                const schemaProblems = validateNormalizedPost(driverPost, config.EXTERNAL_FEED_TYPE);
+                if (schemaProblems.length > 0) {
+                    throw new Error(`invalid normalized post: ${schemaProblems.join('; ')}`);
+                }
+
+                // Enforce MSN's allowed markup; what was removed is kept with the processed data for auditing
+                const { post: normalizedPost, report: sanitizerReport } = sanitizePost(driverPost, config);
+                const sanitizerSummary = summarizeReport(sanitizerReport);
+                if (sanitizerSummary) {
+                    logger.debug(`Sanitized ${normalizedPost.title}: ${sanitizerSummary}`);
+                }
+                const embedCounts = Object.entries(sanitizerReport.embeds);
+                if (embedCounts.length > 0) {
+                    logger.info(`Embeds converted: ${embedCounts.map(([provider, total]) => `${provider} ${total}`).join(', ')}`);
+                }
+
+                // MSN items need a lead image; drivers pick it with the THUMBNAIL_FALLBACKS chain
+                if (!isImageUrl(MSNConverter.getThumbnailUrl(normalizedPost))) {
+                    const reason = `no lead image (tried ${getThumbnailFallbacks(config).join(', ') || 'no sources'})`;
+                    await db.updateItemStatus(item.content_hash, item.source, 'skipped', reason);
+                    skippedCount++;
+                    logger.info(`❌ Skipped (${reason}): ${normalizedPost.title}`);
+                    continue;
+                }
+
+                // Read the real image types and dimensions; MSN rejects undersized lead images
+                await imageProbe.annotatePost(normalizedPost);
+                const imageProblem = imageProbe.checkLeadImage(normalizedPost);
+                if (imageProblem) {
+                    await db.updateItemStatus(item.content_hash, item.source, 'skipped', imageProblem);
+                    skippedCount++;
+                    logger.info(`❌ Skipped (${imageProblem}): ${normalizedPost.title}`);
+                    continue;
+                }
 
                 // Apply profanity filter (if enabled)
                 const profanityFilterEnabled = config.PROFANITY_FILTER_ENABLED === 'true' || config.PROFANITY_FILTER_ENABLED === true;
@@ -145,10 +223,12 @@ async function runFeedConverter(configFile) {
                 if (isClean) {
                     // Content is clean - add to feed
                     feedItems.push(normalizedPost);
+                    feedItemRows.set(normalizedPost, item);
+                    // Snapshot now: image re-hosting rewrites the post's image URLs later
+                    pendingPublish.set(normalizedPost, structuredClone({ ...normalizedPost, sanitizer: sanitizerReport }));
                     processedContentHashes.push(item.content_hash);
-                    await db.updateItemStatus(item.content_hash, item.source, 'published', null, normalizedPost);
                     processedCount++;
-                    logger.info(`✅ Published: ${normalizedPost.title}`);
+                    logger.info(`✅ Accepted: ${normalizedPost.title}`);
                 } else {
                     // Content contains profanity - skip
                     await db.updateItemStatus(item.content_hash, item.source, 'skipped', 'profanity');
@@ -187,7 +267,24 @@ async function runFeedConverter(configFile) {
         logger.info(`Existing published items in database: ${existingPublishedItems.length}`);
 
         // Combine new and existing items (no duplicates since DB excludes them)
-        const existingItems = existingPublishedItems.map(item => driver.normalizePost(item.full_content, config.EXTERNAL_FEED_TYPE));
+        const existingItems = existingPublishedItems
+            .map(item => {
+                const post = sanitizePost(driver.normalizePost(item.full_content, config.EXTERNAL_FEED_TYPE, config), config).post;
+                if (!post.modified && item.item_modified_at) {
+                    post.modified = item.item_modified_at;
+                }
+                feedItemRows.set(post, item);
+                return post;
+            })
+            .filter(post => {
+                // Published before lead images were required, or the fallback settings changed since
+                if (isImageUrl(MSNConverter.getThumbnailUrl(post))) return true;
+                logger.warn(`Leaving "${post.title}" out of the feed: no lead image`);
+                return false;
+            });
+        for (const post of existingItems) {
+            await imageProbe.annotatePost(post);
+        }
         const allFeedItems = [...feedItems, ...existingItems];
 
         // Apply moving window logic - keep only the most recent items for the feed
@@ -209,11 +306,57 @@ async function runFeedConverter(configFile) {
             siteName: config.SITE_NAME || 'Content Feed',
             siteDescription: config.SITE_DESCRIPTION || 'Content converted to MSN format',
             language: config.SITE_LANGUAGE || 'en-us',
-            copyright: config.SITE_COPYRIGHT || ''
+            copyright: config.SITE_COPYRIGHT || '',
+            metadata: MSNConverter.getMetadataOptions(config)
         };
 
+        // Point the feed at our own copies of the images (when enabled)
+        if (imageRehost.enabled) {
+            logger.info('Re-hosting images...');
+            for (const post of finalFeedItems) {
+                await imageRehost.rehostPost(post);
+            }
+            const rehostStats = imageRehost.getStats();
+            logger.info(`Images re-hosted: ${rehostStats.uploaded} uploaded, ${rehostStats.reused} reused, ${rehostStats.failed} failed`);
+        }
+
         // console.log(finalFeedItems);
-        const msnFeed = MSNConverter.convertToMSN(config.EXTERNAL_FEED_URL, finalFeedItems, msnConfig);
+        let msnFeed = MSNConverter.convertToMSN(config.EXTERNAL_FEED_URL, finalFeedItems, msnConfig);
+
+        // Check the generated feed against MSN's rules before it replaces the live one
+        let validation = null;
+        if (config.FEED_VALIDATION_ENABLED !== 'false' && config.FEED_VALIDATION_ENABLED !== false) {
+            logger.info('Validating feed...');
+            const validationOptions = getValidationOptions(config);
+            const report = await validateFeed(msnFeed, validationOptions);
+            const problems = formatReport(report);
+            problems.forEach(line => logger.warn(`Feed validation ${line}`));
+
+            // Items that abort the publish are skipped too, or they would come back and abort every later run
+            if (report.abort) {
+                await skipFailedFeedItems(db, report, finalFeedItems, feedItemRows, ['abort']);
+                throw new Error(`Feed validation failed with ${problems.length} problem(s), feed not published`);
+            }
+
+            const dropped = await skipFailedFeedItems(db, report, finalFeedItems, feedItemRows, ['drop']);
+            dropped.forEach(post => pendingPublish.delete(post));
+
+            if (dropped.length > 0) {
+                finalFeedItems = finalFeedItems.filter(post => !dropped.includes(post));
+                msnFeed = MSNConverter.convertToMSN(config.EXTERNAL_FEED_URL, finalFeedItems, msnConfig);
+
+                // Dropping items shouldn't affect the rest, but the file that gets published must pass on its own
+                const recheck = await validateFeed(msnFeed, validationOptions);
+                if (recheck.abort || recheck.dropIndexes.length > 0) {
+                    formatReport(recheck).forEach(line => logger.error(`Feed validation ${line}`));
+                    await skipFailedFeedItems(db, recheck, finalFeedItems, feedItemRows, ['abort', 'drop']);
+                    throw new Error('Feed validation failed after dropping invalid items, feed not published');
+                }
+            }
+
+            validation = { problems: problems.length, dropped: dropped.length };
+            logger.info(`✅ Feed validated: ${finalFeedItems.length} items, ${dropped.length} dropped`);
+        }
 
         // Save feed based on storage configuration
         let storageResult;
@@ -255,9 +398,23 @@ async function runFeedConverter(configFile) {
             }
         }
 
+        // The feed is live: publish the new items. A run that fails before this leaves them pending for the next one.
+        for (const [post, processedData] of pendingPublish) {
+            const row = feedItemRows.get(post);
+            await db.updateItemStatus(row.content_hash, row.source, 'published', null, processedData);
+            logger.info(`✅ Published: ${post.title}`);
+        }
+
         const endTime = new Date();
         const duration = Math.round((endTime - startTime) / 1000);
 
+        // Only a successful run records new validators, so a failed one re-fetches everything next time
+        await httpClient.commitCache();
+        const httpCache = httpClient.getCacheStats();
+        logger.info(`HTTP cache: ${httpCache.hits}/${httpCache.requests} conditional requests not modified (${httpCache.hitRate}% hit rate)`);
+        const imageStats = imageProbe.getStats();
+        logger.info(`Images: ${imageStats.probed} probed, ${imageStats.cached} from cache, ${imageStats.failed} failed`);
+
         logger.info(`✅ Feed processed successfully in ${duration}s`);
         
         return {
@@ -268,9 +425,11 @@ async function runFeedConverter(configFile) {
             processed: processedCount,
             skipped: skippedCount,
             feedItems: finalFeedItems.length,
+            validation: validation,
             storageLocation: storageResult.Location,
             storageType: config.STORAGE,
             cloudFrontInvalidated: cloudFrontInvalidated,
+            httpCache: httpCache,
             duration: `${duration}s`
         };
 
@@ -285,6 +444,187 @@ async function runFeedConverter(configFile) {
     }
 }
 
+/**
+ * Mark the database rows behind feed items that failed validation as skipped
+ * @param {Object} db - Database manager instance
+ * @param {Object} report - Result of validateFeed for the feed built from posts
+ * @param {Array<Object>} posts - Posts in feed order
+ * @param {Map} feedItemRows - Post to its ingested_content row
+ * @param {Array<string>} severities - Severities that cause a skip ('abort', 'drop')
+ * @returns {Promise<Array<Object>>} Skipped posts
+ */
+async function skipFailedFeedItems(db, report, posts, feedItemRows, severities) {
+    const skipped = [];
+
+    for (const failure of report.items) {
+        const errors = failure.errors.filter(error => severities.includes(error.severity));
+        if (errors.length === 0) continue;
+
+        const post = posts[failure.index];
+        const reason = `feed validation: ${errors.map(error => error.message).join('; ')}`;
+        const row = feedItemRows.get(post);
+        if (row) {
+            await db.updateItemStatus(row.content_hash, row.source, 'skipped', reason);
+        }
+        skipped.push(post);
+        logger.info(`❌ Skipped (${reason}): ${post.title}`);
+    }
+
+    return skipped;
+}
+
+/**
+ * Show a stored item's content before and after the config's HTML_CLEANUP_RULES
+ * Lets rules be tuned locally against real content; nothing is written back.
+ * @param {string} configFile - Config file path
+ * @param {string} itemId - Item guid or content hash
+ * @returns {Object} { before, after, stats }
+ */
+async function previewCleanup(configFile, itemId) {
+    let db = null;
+
+    try {
+        const configLoader = new ConfigLoader();
+        const config = await configLoader.loadConfig(configFile);
+
+        const driver = getFeedDriver(config.EXTERNAL_FEED_PLATFORM, config);
+        if (!driver) {
+            throw new Error(`Unsupported feed platform: ${config.EXTERNAL_FEED_PLATFORM}`);
+        }
+
+        db = new DatabaseManager(config);
+        await db.connect();
+
+        // Accept either the content hash or the guid the driver hashes it from
+        let item = await db.getItemByHash(itemId, config.EXTERNAL_FEED_SOURCE);
+        if (!item && typeof driver.generateHash === 'function') {
+            item = await db.getItemByHash(driver.generateHash(itemId), config.EXTERNAL_FEED_SOURCE);
+        }
+        if (!item) {
+            throw new Error(`No stored item for ${itemId} in source ${config.EXTERNAL_FEED_SOURCE}`);
+        }
+
+        // raw_content is the content before the rules active at ingestion; without it only the stored result is available
+        const fullContent = item.full_content || {};
+        const hasRawContent = typeof fullContent.raw_content === 'string';
+        const before = (hasRawContent ? fullContent.raw_content : fullContent.content) || '';
+        const rules = getCleanupRules(config);
+        const stats = [];
+        const after = applyCleanupRules(before, rules, stats);
+
+        console.log(`\n🧹 Cleanup preview: ${item.metadata ? item.metadata.title : item.guid} (${item.content_hash})`);
+        if (!hasRawContent) {
+            console.log('Note: no pre-cleanup content was stored for this item, so BEFORE already reflects any rules active when it was ingested.');
+        }
+        console.log('');
+
+        if (rules.length === 0) {
+            console.log('No HTML_CLEANUP_RULES configured');
+        }
+        stats.forEach(({ rule, matches }) => {
+            console.log(`  ${matches > 0 ? '✓' : '·'} ${describeRule(rule)}: ${matches} match(es)`);
+        });
+
+        console.log('\n----- BEFORE -----');
+        console.log(before);
+        console.log('\n----- AFTER -----');
+        console.log(after);
+        console.log(`\n${before.length} -> ${after.length} characters${before === after ? ' (unchanged)' : ''}`);
+
+        return { before, after, stats };
+
+    } catch (error) {
+        throw new Error(`Cleanup preview failed: ${error.message}`);
+    } finally {
+        if (db) {
+            await db.close();
+        }
+    }
+}
+
+/**
+ * Check every config in configs/ against the config schema
+ * @returns {Promise<Object>} { files: [{ file, errors, warnings }], errorCount }
+ */
+async function validateConfigs() {
+    const configLoader = new ConfigLoader();
+    const files = await configLoader.getAvailableConfigs();
+    const results = [];
+
+    for (const file of files) {
+        const { config, errors, warnings } = await configLoader.validateConfigFile(path.join('configs', file));
+
+        // Plugin drivers are only known once their settings are loaded
+        if (config && config.EXTERNAL_FEED_PLATFORM) {
+            const platforms = getAvailableFeedTypes(config);
+            if (!platforms.includes(config.EXTERNAL_FEED_PLATFORM)) {
+                errors.push(`EXTERNAL_FEED_PLATFORM must be one of ${platforms.join(', ')} (got "${config.EXTERNAL_FEED_PLATFORM}")`);
+            } else {
+                const driver = getFeedDriver(config.EXTERNAL_FEED_PLATFORM, config);
+                if (driver && typeof driver.checkConfig === 'function') {
+                    errors.push(...driver.checkConfig(config));
+                }
+            }
+        }
+
+        results.push({ file, errors, warnings });
+    }
+
+    console.log(`\n⚙️  Configs (${files.length})`);
+    if (files.length === 0) {
+        console.log('  No config files in configs/');
+    }
+    results.forEach(({ file, errors, warnings }) => {
+        console.log(`  ${errors.length > 0 ? '✗' : '✓'} ${file}`);
+        errors.forEach(error => console.log(`      [error] ${error}`));
+        warnings.forEach(warning => console.log(`      [warn] ${warning}`));
+    });
+
+    return {
+        files: results,
+        errorCount: results.reduce((total, result) => total + result.errors.length, 0)
+    };
+}
+
+/**
+ * Run the MSN feed checks on a feed file or URL
+ * @param {string} source - Feed file path or http(s) URL
+ * @param {string} configFile - Config file whose FEED_VALIDATION_* settings and feed type apply (optional)
+ * @returns {Promise<Object>} Validation report (see utils/feed-validator.js)
+ */
+async function validateFeedSource(source, configFile = null) {
+    let config = {};
+    if (configFile) {
+        const configLoader = new ConfigLoader();
+        config = await configLoader.loadConfig(configFile);
+    }
+
+    let xml;
+    try {
+        if (/^https?:\/\//i.test(source)) {
+            httpClient.configure(config);
+            const response = await httpClient.request(source);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            xml = await response.text();
+        } else {
+            xml = await fs.readFile(source, 'utf8');
+        }
+    } catch (error) {
+        throw new Error(`Could not read feed ${source}: ${error.message}`);
+    }
+
+    const report = await validateFeed(xml, getValidationOptions(config));
+
+    console.log(`\n📰 Feed: ${source}`);
+    const lines = formatReport(report);
+    lines.forEach(line => console.log(`  ${line}`));
+    console.log(`  ${report.itemCount} item(s), ${report.items.length} with problems, ${report.dropIndexes.length} would be dropped${report.abort ? ', publish would be aborted' : ''}`);
+
+    return report;
+}
+
 /**
  * CLI interface for the RSS-to-MSN feed converter
  */
@@ -294,11 +634,24 @@ class CLI {
      */
     async run() {
         const args = process.argv.slice(2);
-        const configFile = args[0]; // First argument is the config file
+
+        if (args[0] === 'preview-cleanup') {
+            return this.runPreviewCleanup(args.slice(1));
+        }
+
+        if (args[0] === 'validate') {
+            return this.runValidate(args.slice(1));
+        }
+
+        const flags = args.filter(arg => arg.startsWith('--'));
+        const configFile = args.find(arg => !arg.startsWith('--')); // First non-flag argument is the config file
 
         if (!configFile) {
-            console.error('❌ Usage: node index.js <config.json>');
+            console.error('❌ Usage: node index.js <config.json> [--full-crawl]');
             console.error('   Example: node index.js denofgeeks-articles.json');
+            console.error('   --full-crawl  Re-crawl every page instead of only posts modified since the last run');
+            console.error('   node index.js preview-cleanup <config.json> <guid|content_hash>  Show HTML_CLEANUP_RULES applied to a stored item');
+            console.error('   node index.js validate [feed.xml|url] [--config=<config.json>]  Check configs/ and optionally a generated feed');
             process.exit(1);
         }
 
@@ -306,13 +659,63 @@ class CLI {
 
         try {
             // Run the main feed converter with the specified config
-            await runFeedConverter(configFile);
+            await runFeedConverter(configFile, {
+                fullCrawl: flags.includes('--full-crawl')
+            });
 
         } catch (error) {
             console.error('\n❌ Error:', error.message);
             process.exit(1);
         }
     }
+
+    /**
+     * Run the preview-cleanup command
+     * @param {Array<string>} args - Arguments after the command name
+     */
+    async runPreviewCleanup(args) {
+        const [configFile, itemId] = args;
+
+        if (!configFile || !itemId) {
+            console.error('❌ Usage: node index.js preview-cleanup <config.json> <guid|content_hash>');
+            console.error('   Example: node index.js preview-cleanup denofgeeks-articles.json 123456');
+            process.exit(1);
+        }
+
+        try {
+            await previewCleanup(configFile, itemId);
+        } catch (error) {
+            console.error('\n❌ Error:', error.message);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Run the validate command
+     * Exit codes: 0 valid (warnings allowed), 1 config errors or feed items that would be dropped / abort the publish,
+     * 2 the check couldn't run (e.g. the feed couldn't be read)
+     * @param {Array<string>} args - Arguments after the command name
+     */
+    async runValidate(args) {
+        const feedSource = args.find(arg => !arg.startsWith('--'));
+        const configFlag = args.find(arg => arg.startsWith('--config='));
+
+        try {
+            const configs = await validateConfigs();
+            let failed = configs.errorCount > 0;
+
+            if (feedSource) {
+                const report = await validateFeedSource(feedSource, configFlag ? configFlag.slice('--config='.length) : null);
+                failed = failed || report.abort || report.dropIndexes.length > 0;
+            }
+
+            console.log(failed ? '\n❌ Validation failed' : '\n✅ Validation passed');
+            process.exit(failed ? 1 : 0);
+        } catch (error) {
+            console.error('\n❌ Error:', error.message);
+            process.exit(2);
+        }
+    }
 }
 
 // Run the CLI if executed directly
@@ -325,5 +728,8 @@ if (require.main === module) {
 }
 
 module.exports = {
-    runFeedConverter
+    runFeedConverter,
+    previewCleanup,
+    validateConfigs,
+    validateFeedSource
 };
\ No newline at end of file
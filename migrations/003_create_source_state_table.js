@@ -0,0 +1,43 @@
+/**
+ * Migration: Create source_state table for per-source ingestion state
+ * Created: 2026-10-19
+ * Description: Stores small key/value state per source + platform + feed_type,
+ *              such as the WordPress modified_gmt high-water mark used for incremental ingestion
+ */
+
+const migration = {
+    version: '003',
+    description: 'Create source_state table for per-source ingestion state (high-water marks)',
+    
+    /**
+     * Apply the migration (create table)
+     */
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS source_state (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                source VARCHAR(100) NOT NULL COMMENT 'Source identifier for the feed (e.g., denofgeeks)',
+                platform VARCHAR(50) NOT NULL COMMENT 'Platform type (e.g., wordpress)',
+                feed_type VARCHAR(50) NOT NULL COMMENT 'Feed type (e.g., article, slideshow)',
+                state_key VARCHAR(100) NOT NULL COMMENT 'State name (e.g., high_water_mark)',
+                state_value VARCHAR(255) NULL COMMENT 'State value as stored by the driver',
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                
+                UNIQUE KEY unique_source_state (source, platform, feed_type, state_key)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci 
+            COMMENT='Per-source ingestion state such as incremental high-water marks'
+        `);
+        
+        console.log('✅ Migration 003: Created source_state table');
+    },
+    
+    /**
+     * Rollback the migration (drop table)
+     */
+    async down(db) {
+        await db.execute('DROP TABLE IF EXISTS source_state');
+        console.log('✅ Migration 003: Dropped source_state table');
+    }
+};
+
+module.exports = migration;
@@ -0,0 +1,19 @@
+-- Migration: Create http_cache table for conditional GET requests
+-- Created: 2026-10-19
+-- Description: Stores ETag / Last-Modified validators per source URL so runs can send
+--              If-None-Match / If-Modified-Since and skip unchanged responses (304)
+
+CREATE TABLE IF NOT EXISTS http_cache (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    url_hash VARCHAR(64) NOT NULL COMMENT 'SHA256 of the full request URL',
+    url TEXT NOT NULL COMMENT 'Request URL with credentials masked',
+    etag VARCHAR(255) NULL COMMENT 'ETag response header',
+    last_modified VARCHAR(64) NULL COMMENT 'Last-Modified response header',
+    content_type VARCHAR(255) NULL COMMENT 'Content-Type of the stored body',
+    body MEDIUMTEXT NULL COMMENT 'Response body, only for URLs replayed on 304 (e.g. profanity list)',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    -- Constraints
+    UNIQUE KEY unique_url_hash (url_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci 
+COMMENT='ETag / Last-Modified validators for conditional GET requests';
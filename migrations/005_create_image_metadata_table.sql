@@ -0,0 +1,18 @@
+-- Migration: Create image_metadata table for probed image headers
+-- Created: 2026-10-19
+-- Description: Caches the format and pixel dimensions read from each image URL's header,
+--              so thumbnails and slides are only probed once
+
+CREATE TABLE IF NOT EXISTS image_metadata (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    url_hash VARCHAR(64) NOT NULL COMMENT 'SHA256 of the image URL',
+    url TEXT NOT NULL COMMENT 'Image URL with credentials masked',
+    mime_type VARCHAR(64) NOT NULL COMMENT 'Format read from the image header (e.g. image/png)',
+    width INT NOT NULL COMMENT 'Width in pixels',
+    height INT NOT NULL COMMENT 'Height in pixels',
+    probed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    -- Constraints
+    UNIQUE KEY unique_url_hash (url_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci 
+COMMENT='Image type and dimensions per URL, read from the image header';
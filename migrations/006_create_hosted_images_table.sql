@@ -0,0 +1,24 @@
+-- Migration: Create hosted_images table for re-hosted feed images
+-- Created: 2026-10-19
+-- Description: Maps source image URLs to the resized copies uploaded to our own storage,
+--              deduplicated by the content hash of the uploaded file
+
+CREATE TABLE IF NOT EXISTS hosted_images (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    url_hash VARCHAR(64) NOT NULL COMMENT 'SHA256 of the source image URL',
+    url TEXT NOT NULL COMMENT 'Source image URL with credentials masked',
+    variant VARCHAR(64) NOT NULL COMMENT 'Resize settings the copy was made with (e.g. 1920x1080-jpeg-85)',
+    content_hash VARCHAR(64) NOT NULL COMMENT 'SHA256 of the uploaded file (also its file name)',
+    hosted_url TEXT NOT NULL COMMENT 'Public URL of the uploaded file',
+    mime_type VARCHAR(64) NOT NULL COMMENT 'Format of the uploaded file',
+    width INT NOT NULL COMMENT 'Width in pixels',
+    height INT NOT NULL COMMENT 'Height in pixels',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Constraints
+    UNIQUE KEY unique_url_variant (url_hash, variant),
+    
+    -- Indexes
+    INDEX idx_content_hash (content_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci 
+COMMENT='Source image URLs and their re-hosted, resized copies';
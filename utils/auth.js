@@ -0,0 +1,157 @@
+const { maskSensitiveData, addSensitiveQueryParam } = require('./sensitive-data');
+
+/**
+ * Supported authentication strategies for source APIs
+ * - none: no credentials
+ * - bearer: Authorization: Bearer <token>
+ * - basic / application-password: Authorization: Basic base64(<username>:<token>)
+ *   (WordPress Application Passwords use HTTP Basic with the WordPress username)
+ * - header: <API_AUTH_HEADER>: <token>
+ * - query: ?<API_AUTH_QUERY_PARAM>=<token>
+ *
+ * Credentials are only sent to the source's own origin (EXTERNAL_FEED_URL, plus any feed URL
+ * the driver passes), never to other hosts that pagination links or sitemaps point at.
+ */
+const AUTH_TYPES = ['none', 'bearer', 'basic', 'application-password', 'header', 'query'];
+
+/**
+ * Resolve the auth strategy for a driver from config
+ * API_AUTH_* settings win; the driver supplies defaults for its legacy settings
+ * (e.g. WordPress falls back to bearer with WP_API_TOKEN).
+ * @param {Object} config - Configuration object
+ * @param {Object} defaults - Driver defaults ({ type, token, username, header, queryParam }) and
+ *                            sourceUrls: other configured URLs whose origins get credentials (e.g. RSS_FEED_URL)
+ * @returns {Object} Auth strategy ({ type, token, username, header, queryParam, origins })
+ */
+function getAuthStrategy(config, defaults = {}) {
+    const token = config.API_AUTH_TOKEN || defaults.token || '';
+    const type = (config.API_AUTH_TYPE || defaults.type || (token ? 'bearer' : 'none')).toLowerCase();
+
+    if (!AUTH_TYPES.includes(type)) {
+        throw new Error(`Unsupported API_AUTH_TYPE "${type}" (expected one of: ${AUTH_TYPES.join(', ')})`);
+    }
+
+    const auth = {
+        type,
+        token,
+        username: config.API_AUTH_USERNAME || defaults.username || '',
+        header: config.API_AUTH_HEADER || defaults.header || '',
+        queryParam: config.API_AUTH_QUERY_PARAM || defaults.queryParam || '',
+        origins: [config.EXTERNAL_FEED_URL, ...(defaults.sourceUrls || [])].map(getOrigin).filter(Boolean)
+    };
+
+    if (type !== 'none' && !auth.token) {
+        throw new Error(`API_AUTH_TYPE "${type}" requires API_AUTH_TOKEN`);
+    }
+    if ((type === 'basic' || type === 'application-password') && !auth.username) {
+        throw new Error(`API_AUTH_TYPE "${type}" requires API_AUTH_USERNAME`);
+    }
+    if (type === 'header' && !auth.header) {
+        throw new Error('API_AUTH_TYPE "header" requires API_AUTH_HEADER');
+    }
+    if (type === 'query') {
+        if (!auth.queryParam) {
+            throw new Error('API_AUTH_TYPE "query" requires API_AUTH_QUERY_PARAM');
+        }
+        addSensitiveQueryParam(auth.queryParam);
+    }
+
+    return auth;
+}
+
+/**
+ * Apply an auth strategy to a request
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers (not modified)
+ * @param {Object} auth - Auth strategy from getAuthStrategy
+ * @returns {Object} { url, headers } with credentials applied
+ */
+function applyAuth(url, headers, auth) {
+    const authHeaders = { ...headers };
+    let authUrl = url;
+
+    if (auth.origins && auth.origins.length > 0 && !auth.origins.includes(getOrigin(url))) {
+        return { url: authUrl, headers: authHeaders };
+    }
+
+    switch (auth.type) {
+        case 'bearer':
+            authHeaders['Authorization'] = `Bearer ${auth.token}`;
+            break;
+        case 'basic':
+        case 'application-password':
+            authHeaders['Authorization'] = `Basic ${Buffer.from(`${auth.username}:${auth.token}`).toString('base64')}`;
+            break;
+        case 'header':
+            authHeaders[auth.header] = auth.token;
+            break;
+        case 'query': {
+            // Pagination links (e.g. JSON:API links.next) can already carry the credential: replace it, don't repeat it
+            const name = encodeURIComponent(auth.queryParam);
+            const param = `${name}=${encodeURIComponent(auth.token)}`;
+            let replaced = false;
+
+            authUrl = url.replace(/([?&])([^=&#]+)=[^&#]*/g, (match, separator, key) => {
+                if (key !== name) return match;
+                replaced = true;
+                return `${separator}${param}`;
+            });
+            if (!replaced) {
+                authUrl = `${url}${url.includes('?') ? '&' : '?'}${param}`;
+            }
+            break;
+        }
+        default:
+            break;
+    }
+
+    return { url: authUrl, headers: authHeaders };
+}
+
+/**
+ * Throw a descriptive error when a source rejects our credentials
+ * @param {Response} response - Fetch response
+ * @param {Object} auth - Auth strategy used for the request
+ * @param {string} url - Request URL (logged masked)
+ */
+function assertAuthorized(response, auth, url) {
+    if (response.status !== 401 && response.status !== 403) {
+        return;
+    }
+
+    const reason = response.status === 401
+        ? (auth.type === 'none' ? 'the API requires credentials but API_AUTH_TYPE is "none"' : 'the credentials were rejected')
+        : 'the credentials are valid but lack permission for this resource';
+
+    let hint = '';
+    if (auth.type === 'bearer' && response.status === 401) {
+        hint = ' If this is a WordPress Application Password, set API_AUTH_TYPE=application-password and API_AUTH_USERNAME.';
+    }
+
+    const error = new Error(
+        `Authentication failed (HTTP ${response.status}) using "${auth.type}" auth for ${maskSensitiveData(url)}: ${reason}.${hint}`
+    );
+    error.status = response.status;
+    error.isAuthError = true;
+    throw error;
+}
+
+/**
+ * Get the origin of a URL
+ * @param {string} url - Absolute URL
+ * @returns {string|null} Origin (scheme, host and port) or null if the URL can't be parsed
+ */
+function getOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    AUTH_TYPES,
+    getAuthStrategy,
+    applyAuth,
+    assertAuthorized
+};
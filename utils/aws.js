@@ -7,12 +7,13 @@ const { safeLog } = require('./sensitive-data');
  * Upload content to S3 bucket
  * @param {string} bucketName - S3 bucket name
  * @param {string} fileName - File name/key in S3
- * @param {string} content - Content to upload
+ * @param {string|Buffer} content - Content to upload
  * @param {string} region - AWS region
  * @param {string} folderName - S3 folder name (optional)
+ * @param {Object} options - { contentType, cacheControl } (defaults suit the feed XML)
  * @returns {Promise<Object>} S3 upload result
  */
-async function uploadToS3(bucketName, fileName, content, region = 'us-east-1', folderName = '') {
+async function uploadToS3(bucketName, fileName, content, region = 'us-east-1', folderName = '', options = {}) {
     try {
         // Configure AWS SDK
         AWS.config.update({ region });
@@ -25,8 +26,8 @@ async function uploadToS3(bucketName, fileName, content, region = 'us-east-1', f
             Bucket: bucketName,
             Key: s3Key,
             Body: content,
-            ContentType: 'application/xml',
-            CacheControl: 'max-age=3600', // Cache for 1 hour
+            ContentType: options.contentType || 'application/xml',
+            CacheControl: options.cacheControl || 'max-age=3600', // Cache for 1 hour
             Metadata: {
                 'processed-by': 'rss-to-msn-feed-converter',
                 'processed-at': new Date().toISOString()
@@ -46,8 +47,8 @@ async function uploadToS3(bucketName, fileName, content, region = 'us-east-1', f
 
 /**
  * Save content to local file
- * @param {string} fileName - File name
- * @param {string} content - Content to save
+ * @param {string} fileName - File name (may include a subfolder, e.g. images/abc.jpg)
+ * @param {string|Buffer} content - Content to save
  * @returns {Promise<Object>} File save result
  */
 async function saveToFile(fileName, content) {
@@ -58,6 +59,7 @@ async function saveToFile(fileName, content) {
         await fs.mkdir(feedDir, { recursive: true });
         
         const filePath = path.join(feedDir, fileName);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
         
         safeLog(console.log, `Saving to file: ${filePath}`);
         await fs.writeFile(filePath, content, 'utf8');
@@ -1,6 +1,22 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { safeLog } = require('./sensitive-data');
+const { checkCleanupRules } = require('./html-cleanup');
+const { checkBlockRules } = require('./gutenberg');
+const { checkSlideshowRules } = require('./slideshow');
+const { checkAllowedMarkup } = require('./msn-sanitizer');
+const { checkValidationOptions } = require('./feed-validator');
+const httpClient = require('./http');
+
+/**
+ * Supported EXTERNAL_FEED_TYPE values
+ */
+const FEED_TYPES = ['article', 'slideshow', 'video'];
+
+/**
+ * Supported IMAGE_REHOST_FORMAT values
+ */
+const IMAGE_REHOST_FORMATS = ['jpeg', 'png', 'webp'];
 
 /**
  * Configuration loader that can load from files and override environment variables
@@ -66,16 +82,109 @@ class ConfigLoader {
             EXTERNAL_FEED_SOURCE: process.env.EXTERNAL_FEED_SOURCE,
             FEED_FILE_NAME: process.env.FEED_FILE_NAME,
             
+            // Driver Plugins (extra EXTERNAL_FEED_PLATFORM values beyond the built-in drivers)
+            DRIVER_PLUGINS_DIR: process.env.DRIVER_PLUGINS_DIR,
+            DRIVER_PACKAGES: process.env.DRIVER_PACKAGES,
+            
             // WordPress API Configuration
             WP_API_TOKEN: process.env.WP_API_TOKEN,
             WP_API_POSTS_FILTER: process.env.WP_API_POSTS_FILTER,
             WP_API_POSTS_FILTER_VALUE: process.env.WP_API_POSTS_FILTER_VALUE,
+            WP_METADATA_SOURCES: process.env.WP_METADATA_SOURCES || 'yoast,embed',
+            WP_CATEGORY_TAXONOMIES: process.env.WP_CATEGORY_TAXONOMIES || 'category',
+            WP_BLOCK_RULES: process.env.WP_BLOCK_RULES,
+            WP_BLOCK_DEFAULT_ACTION: process.env.WP_BLOCK_DEFAULT_ACTION || 'keep',
+            WP_SLIDESHOW_PRESET: process.env.WP_SLIDESHOW_PRESET || 'wp-block-image',
+            WP_SLIDESHOW_RULES: process.env.WP_SLIDESHOW_RULES,
+            WP_SLIDESHOW_MIN_SLIDES: process.env.WP_SLIDESHOW_MIN_SLIDES || '1',
+            
+            // Source API Authentication (none, bearer, basic, application-password, header, query)
+            API_AUTH_TYPE: process.env.API_AUTH_TYPE,
+            API_AUTH_USERNAME: process.env.API_AUTH_USERNAME,
+            API_AUTH_TOKEN: process.env.API_AUTH_TOKEN,
+            API_AUTH_HEADER: process.env.API_AUTH_HEADER,
+            API_AUTH_QUERY_PARAM: process.env.API_AUTH_QUERY_PARAM,
+            
+            // Ingestion Configuration
+            INGEST_FULL_CRAWL: process.env.INGEST_FULL_CRAWL || 'false',
+            HTML_CLEANUP_RULES: process.env.HTML_CLEANUP_RULES,
+            
+            // HTTP Client Configuration (shared by all drivers and utilities)
+            HTTP_TIMEOUT_MS: parseInt(process.env.HTTP_TIMEOUT_MS) || 30000,
+            HTTP_MAX_RETRIES: process.env.HTTP_MAX_RETRIES !== undefined ? parseInt(process.env.HTTP_MAX_RETRIES) : 3,
+            HTTP_RETRY_BASE_MS: parseInt(process.env.HTTP_RETRY_BASE_MS) || 500,
+            HTTP_MAX_RETRY_DELAY_MS: parseInt(process.env.HTTP_MAX_RETRY_DELAY_MS) || 60000,
+            HTTP_USER_AGENT: process.env.HTTP_USER_AGENT,
+            HTTP_RATE_LIMIT: process.env.HTTP_RATE_LIMIT,
+            HTTP_HOST_RATE_LIMITS: process.env.HTTP_HOST_RATE_LIMITS,
+            HTTP_CONDITIONAL_CACHE: process.env.HTTP_CONDITIONAL_CACHE || 'true',
+            
+            // RSS / Atom Configuration (defaults to EXTERNAL_FEED_URL)
+            RSS_FEED_URL: process.env.RSS_FEED_URL,
+            
+            // JSON Feed Configuration (defaults to EXTERNAL_FEED_URL)
+            JSON_FEED_URL: process.env.JSON_FEED_URL,
+            
+            // Ghost Content API Configuration
+            GHOST_CONTENT_API_KEY: process.env.GHOST_CONTENT_API_KEY,
+            GHOST_API_POSTS_FILTER: process.env.GHOST_API_POSTS_FILTER,
+            GHOST_API_POSTS_FILTER_VALUE: process.env.GHOST_API_POSTS_FILTER_VALUE,
+            
+            // Drupal JSON:API Configuration
+            DRUPAL_BUNDLE: process.env.DRUPAL_BUNDLE,
+            DRUPAL_AUTHOR_FIELD: process.env.DRUPAL_AUTHOR_FIELD,
+            DRUPAL_TAXONOMY_FIELDS: process.env.DRUPAL_TAXONOMY_FIELDS,
+            DRUPAL_IMAGE_FIELD: process.env.DRUPAL_IMAGE_FIELD,
+            DRUPAL_MEDIA_IMAGE_FIELD: process.env.DRUPAL_MEDIA_IMAGE_FIELD,
+            DRUPAL_API_POSTS_FILTER: process.env.DRUPAL_API_POSTS_FILTER,
+            DRUPAL_API_POSTS_FILTER_VALUE: process.env.DRUPAL_API_POSTS_FILTER_VALUE,
+            
+            // Sitemap Scraping Configuration
+            SITEMAP_URL: process.env.SITEMAP_URL,
+            SITEMAP_URL_PATTERN: process.env.SITEMAP_URL_PATTERN,
+            SITEMAP_MAX_ITEMS: parseInt(process.env.SITEMAP_MAX_ITEMS) || 50,
+            SITEMAP_SELECTORS: process.env.SITEMAP_SELECTORS,
+            
+            // Video Feed Configuration (EXTERNAL_FEED_TYPE=video)
+            VIDEO_TRANSCRIPT_SELECTOR: process.env.VIDEO_TRANSCRIPT_SELECTOR,
             
             // MSN Feed Configuration
             SITE_NAME: process.env.SITE_NAME,
             SITE_DESCRIPTION: process.env.SITE_DESCRIPTION,
             SITE_LANGUAGE: process.env.SITE_LANGUAGE,
             SITE_COPYRIGHT: process.env.SITE_COPYRIGHT,
+            MSN_ALLOWED_MARKUP: process.env.MSN_ALLOWED_MARKUP,
+            
+            // MSN Metadata (modified, dateTimeWritten, syndicationRights, licenseId, valid, selfLink)
+            MSN_METADATA_FIELDS: process.env.MSN_METADATA_FIELDS,
+            MSN_HAS_SYNDICATION_RIGHTS: process.env.MSN_HAS_SYNDICATION_RIGHTS,
+            MSN_LICENSE_ID: process.env.MSN_LICENSE_ID,
+            MSN_CONTENT_VALID_DAYS: parseInt(process.env.MSN_CONTENT_VALID_DAYS) || 0,
+            FEED_PUBLIC_URL: process.env.FEED_PUBLIC_URL,
+            
+            // Lead Image Fallbacks (featured, og, content, slide, default)
+            THUMBNAIL_FALLBACKS: process.env.THUMBNAIL_FALLBACKS,
+            DEFAULT_THUMBNAIL_URL: process.env.DEFAULT_THUMBNAIL_URL,
+            
+            // Image Probing (type and dimensions on media:content, minimum lead image size)
+            IMAGE_PROBE_ENABLED: process.env.IMAGE_PROBE_ENABLED || 'true',
+            IMAGE_MIN_WIDTH: parseInt(process.env.IMAGE_MIN_WIDTH) || 0,
+            IMAGE_MIN_HEIGHT: parseInt(process.env.IMAGE_MIN_HEIGHT) || 0,
+            
+            // Image Re-hosting (copies thumbnails and slide images to S3_FOLDER_NAME/images/ or feed/images/)
+            IMAGE_REHOST_ENABLED: process.env.IMAGE_REHOST_ENABLED || 'false',
+            IMAGE_REHOST_MAX_WIDTH: parseInt(process.env.IMAGE_REHOST_MAX_WIDTH) || 1920,
+            IMAGE_REHOST_MAX_HEIGHT: parseInt(process.env.IMAGE_REHOST_MAX_HEIGHT) || 1080,
+            IMAGE_REHOST_FORMAT: process.env.IMAGE_REHOST_FORMAT || 'jpeg',
+            IMAGE_REHOST_QUALITY: parseInt(process.env.IMAGE_REHOST_QUALITY) || 85,
+            IMAGE_REHOST_MAX_BYTES: parseInt(process.env.IMAGE_REHOST_MAX_BYTES) || 20971520,
+            IMAGE_REHOST_BASE_URL: process.env.IMAGE_REHOST_BASE_URL,
+            MSN_EMBED_PROVIDERS: process.env.MSN_EMBED_PROVIDERS || 'youtube,x,instagram,tiktok',
+            
+            // Feed Validation (checks the generated feed before it is published)
+            FEED_VALIDATION_ENABLED: process.env.FEED_VALIDATION_ENABLED || 'true',
+            FEED_VALIDATION_SEVERITY: process.env.FEED_VALIDATION_SEVERITY,
+            FEED_VALIDATION_LIMITS: process.env.FEED_VALIDATION_LIMITS,
             
             // Database Configuration
             DB_HOST: process.env.DB_HOST,
@@ -184,6 +293,99 @@ class ConfigLoader {
         return requiredVars.filter(varName => !config[varName]);
     }
     
+    /**
+     * Validate configuration values that have a fixed set of options
+     * @param {Object} config - Configuration object
+     * @returns {Array<string>} List of problems (empty if valid)
+     */
+    validateConfigValues(config) {
+        const problems = [];
+        
+        if (config.EXTERNAL_FEED_TYPE && !FEED_TYPES.includes(String(config.EXTERNAL_FEED_TYPE).toLowerCase())) {
+            problems.push(`EXTERNAL_FEED_TYPE must be one of ${FEED_TYPES.join(', ')} (got "${config.EXTERNAL_FEED_TYPE}")`);
+        }
+        
+        const rehostEnabled = config.IMAGE_REHOST_ENABLED === 'true' || config.IMAGE_REHOST_ENABLED === true;
+        if (rehostEnabled) {
+            if (config.IMAGE_REHOST_FORMAT && !IMAGE_REHOST_FORMATS.includes(config.IMAGE_REHOST_FORMAT)) {
+                problems.push(`IMAGE_REHOST_FORMAT must be one of ${IMAGE_REHOST_FORMATS.join(', ')} (got "${config.IMAGE_REHOST_FORMAT}")`);
+            }
+            // Local files have no public URL of their own
+            if (config.STORAGE === 'file' && !config.IMAGE_REHOST_BASE_URL) {
+                problems.push('IMAGE_REHOST_BASE_URL is required when IMAGE_REHOST_ENABLED=true and STORAGE=file');
+            }
+        }
+        
+        return problems;
+    }
+    
+    /**
+     * Check the JSON-valued settings with the same parsers a run uses, which would otherwise only log and ignore problems
+     * @param {Object} config - Configuration object
+     * @returns {Array<string>} List of problems (empty if valid)
+     */
+    validateJsonSettings(config) {
+        const problems = [
+            ...checkCleanupRules(config),
+            ...checkBlockRules(config),
+            ...checkSlideshowRules(config),
+            ...checkAllowedMarkup(config),
+            ...checkValidationOptions(config)
+        ];
+        httpClient.parseHostRateLimits(config.HTTP_HOST_RATE_LIMITS, problem => problems.push(problem));
+
+        return problems;
+    }
+
+    /**
+     * Check a config file against the known settings without running anything
+     * Settings the file doesn't set are taken from the environment, as in a real run.
+     * @param {string} configFilePath - Path to the config file
+     * @returns {Promise<Object>} { config, errors, warnings } (config is null if the file couldn't be read)
+     */
+    async validateConfigFile(configFilePath) {
+        const errors = [];
+        const warnings = [];
+
+        let file;
+        try {
+            file = await this.loadConfigFile(configFilePath);
+        } catch (error) {
+            return { config: null, errors: [error.message], warnings };
+        }
+
+        const overrides = file && typeof file === 'object' ? (file.overrides || file) : null;
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            return { config: null, errors: ['config file must be a JSON object (settings under "overrides")'], warnings };
+        }
+
+        // The environment settings double as the schema: their defaults give each setting's type
+        const baseConfig = this.loadEnvironmentVariables();
+        const config = { ...baseConfig };
+
+        for (const [key, value] of Object.entries(overrides)) {
+            if (value === null || value === undefined) continue;
+            config[key] = value;
+
+            if (!(key in baseConfig)) {
+                warnings.push(`unknown setting ${key}`);
+            } else if (typeof baseConfig[key] === 'number' && !/^\d+$/.test(String(value))) {
+                errors.push(`${key} must be a whole number (got ${JSON.stringify(value)})`);
+            } else if (['true', 'false'].includes(baseConfig[key]) && !['true', 'false'].includes(String(value))) {
+                errors.push(`${key} must be true or false (got ${JSON.stringify(value)})`);
+            }
+        }
+
+        const missingVars = this.validateRequiredConfig(config);
+        if (missingVars.length > 0) {
+            errors.push(`missing required settings: ${missingVars.join(', ')}`);
+        }
+        errors.push(...this.validateConfigValues(config));
+        errors.push(...this.validateJsonSettings(config));
+
+        return { config, errors, warnings };
+    }
+
     /**
      * Get available config files in the configs directory
      * @returns {Promise<Array>} Array of available config file names
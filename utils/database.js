@@ -1,4 +1,5 @@
-const { safeLog } = require('./sensitive-data');
+const crypto = require('crypto');
+const { safeLog, maskSensitiveData } = require('./sensitive-data');
 
 /**
  * Database utilities for content storage and tracking
@@ -72,6 +73,63 @@ class DatabaseManager {
         `;
         
         await this.client.execute(createTableSQL);
+        
+        await this.client.execute(`
+            CREATE TABLE IF NOT EXISTS source_state (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                source VARCHAR(100) NOT NULL,
+                platform VARCHAR(50) NOT NULL,
+                feed_type VARCHAR(50) NOT NULL,
+                state_key VARCHAR(100) NOT NULL,
+                state_value VARCHAR(255) NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_source_state (source, platform, feed_type, state_key)
+            );
+        `);
+        
+        await this.client.execute(`
+            CREATE TABLE IF NOT EXISTS http_cache (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                url_hash VARCHAR(64) NOT NULL,
+                url TEXT NOT NULL,
+                etag VARCHAR(255) NULL,
+                last_modified VARCHAR(64) NULL,
+                content_type VARCHAR(255) NULL,
+                body MEDIUMTEXT NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_url_hash (url_hash)
+            );
+        `);
+        
+        await this.client.execute(`
+            CREATE TABLE IF NOT EXISTS image_metadata (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                url_hash VARCHAR(64) NOT NULL,
+                url TEXT NOT NULL,
+                mime_type VARCHAR(64) NOT NULL,
+                width INT NOT NULL,
+                height INT NOT NULL,
+                probed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_url_hash (url_hash)
+            );
+        `);
+        
+        await this.client.execute(`
+            CREATE TABLE IF NOT EXISTS hosted_images (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                url_hash VARCHAR(64) NOT NULL,
+                url TEXT NOT NULL,
+                variant VARCHAR(64) NOT NULL,
+                content_hash VARCHAR(64) NOT NULL,
+                hosted_url TEXT NOT NULL,
+                mime_type VARCHAR(64) NOT NULL,
+                width INT NOT NULL,
+                height INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_url_variant (url_hash, variant),
+                INDEX idx_content_hash (content_hash)
+            );
+        `);
     }
     
     
@@ -104,6 +162,181 @@ class DatabaseManager {
         return rows[0].count === 0;
     }
     
+    /**
+     * Get a stored state value for this source + platform + feed_type combination
+     * @param {Object} config - Configuration object
+     * @param {string} key - State key (e.g. 'high_water_mark')
+     * @returns {Promise<string|null>} Stored value or null
+     */
+    async getSourceState(config, key) {
+        const [rows] = await this.client.execute(`
+            SELECT state_value FROM source_state 
+            WHERE source = ? AND platform = ? AND feed_type = ? AND state_key = ?
+        `, [config.EXTERNAL_FEED_SOURCE, config.EXTERNAL_FEED_PLATFORM, config.EXTERNAL_FEED_TYPE, key]);
+        
+        return rows.length > 0 ? rows[0].state_value : null;
+    }
+    
+    /**
+     * Store a state value for this source + platform + feed_type combination
+     * @param {Object} config - Configuration object
+     * @param {string} key - State key (e.g. 'high_water_mark')
+     * @param {string} value - Value to store
+     */
+    async setSourceState(config, key, value) {
+        await this.client.execute(`
+            INSERT INTO source_state (source, platform, feed_type, state_key, state_value)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE state_value = VALUES(state_value)
+        `, [config.EXTERNAL_FEED_SOURCE, config.EXTERNAL_FEED_PLATFORM, config.EXTERNAL_FEED_TYPE, key, value]);
+    }
+    
+    /**
+     * Get the stored ETag / Last-Modified validators for a URL
+     * @param {string} url - Request URL
+     * @returns {Promise<Object|null>} Entry ({ etag, last_modified, content_type, body }) or null
+     */
+    async getHttpCacheEntry(url) {
+        const [rows] = await this.client.execute(`
+            SELECT etag, last_modified, content_type, body FROM http_cache 
+            WHERE url_hash = ?
+        `, [this.hashUrl(url)]);
+        
+        return rows.length > 0 ? rows[0] : null;
+    }
+    
+    /**
+     * Store ETag / Last-Modified validators (and optionally the body) for a URL
+     * @param {string} url - Request URL
+     * @param {Object} entry - { etag, last_modified, content_type, body }
+     */
+    async saveHttpCacheEntry(url, entry) {
+        await this.client.execute(`
+            INSERT INTO http_cache (url_hash, url, etag, last_modified, content_type, body)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE etag = VALUES(etag), last_modified = VALUES(last_modified),
+                content_type = VALUES(content_type), body = VALUES(body)
+        `, [
+            this.hashUrl(url),
+            // URLs can carry query-string credentials, so only the masked form is stored
+            maskSensitiveData(url),
+            entry.etag || null,
+            entry.last_modified || null,
+            entry.content_type || null,
+            entry.body !== undefined ? entry.body : null
+        ]);
+    }
+    
+    /**
+     * Get the stored type and dimensions for an image URL
+     * @param {string} url - Image URL
+     * @returns {Promise<Object|null>} { type, width, height } or null if the image hasn't been probed
+     */
+    async getImageMetadata(url) {
+        const [rows] = await this.client.execute(`
+            SELECT mime_type, width, height FROM image_metadata 
+            WHERE url_hash = ?
+        `, [this.hashUrl(url)]);
+        
+        return rows.length > 0 ? { type: rows[0].mime_type, width: rows[0].width, height: rows[0].height } : null;
+    }
+    
+    /**
+     * Store the type and dimensions read from an image header
+     * @param {string} url - Image URL
+     * @param {Object} metadata - { type, width, height }
+     */
+    async saveImageMetadata(url, metadata) {
+        await this.client.execute(`
+            INSERT INTO image_metadata (url_hash, url, mime_type, width, height)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE mime_type = VALUES(mime_type), width = VALUES(width), height = VALUES(height)
+        `, [
+            this.hashUrl(url),
+            maskSensitiveData(url),
+            metadata.type,
+            metadata.width,
+            metadata.height
+        ]);
+    }
+    
+    /**
+     * Get the re-hosted copy of a source image
+     * @param {string} url - Source image URL
+     * @param {string} variant - Resize settings (e.g. 1920x1080-jpeg-85)
+     * @returns {Promise<Object|null>} { url, contentHash, type, width, height } or null if it hasn't been re-hosted
+     */
+    async getHostedImage(url, variant) {
+        const [rows] = await this.client.execute(`
+            SELECT hosted_url, content_hash, mime_type, width, height FROM hosted_images 
+            WHERE url_hash = ? AND variant = ?
+        `, [this.hashUrl(url), variant]);
+        
+        return rows.length > 0 ? this.mapHostedImage(rows[0]) : null;
+    }
+    
+    /**
+     * Find an uploaded file by its content hash (the same image re-hosted from another URL)
+     * @param {string} contentHash - SHA256 of the uploaded file
+     * @returns {Promise<Object|null>} { url, contentHash, type, width, height } or null
+     */
+    async findHostedImageByContent(contentHash) {
+        const [rows] = await this.client.execute(`
+            SELECT hosted_url, content_hash, mime_type, width, height FROM hosted_images 
+            WHERE content_hash = ? LIMIT 1
+        `, [contentHash]);
+        
+        return rows.length > 0 ? this.mapHostedImage(rows[0]) : null;
+    }
+    
+    /**
+     * Record the re-hosted copy of a source image
+     * @param {string} url - Source image URL
+     * @param {string} variant - Resize settings
+     * @param {Object} image - { url, contentHash, type, width, height }
+     */
+    async saveHostedImage(url, variant, image) {
+        await this.client.execute(`
+            INSERT INTO hosted_images (url_hash, url, variant, content_hash, hosted_url, mime_type, width, height)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE content_hash = VALUES(content_hash), hosted_url = VALUES(hosted_url),
+                mime_type = VALUES(mime_type), width = VALUES(width), height = VALUES(height)
+        `, [
+            this.hashUrl(url),
+            maskSensitiveData(url),
+            variant,
+            image.contentHash,
+            image.url,
+            image.type,
+            image.width,
+            image.height
+        ]);
+    }
+    
+    /**
+     * Map a hosted_images row to a hosted image object
+     * @param {Object} row - Database row
+     * @returns {Object} { url, contentHash, type, width, height }
+     */
+    mapHostedImage(row) {
+        return {
+            url: row.hosted_url,
+            contentHash: row.content_hash,
+            type: row.mime_type,
+            width: row.width,
+            height: row.height
+        };
+    }
+    
+    /**
+     * Hash a URL for the http_cache / image_metadata / hosted_images lookup key
+     * @param {string} url - Request URL
+     * @returns {string} SHA256 hash
+     */
+    hashUrl(url) {
+        return crypto.createHash('sha256').update(url).digest('hex');
+    }
+    
     /**
      * Insert item directly (used by drivers during ingestion)
      */
@@ -114,13 +347,32 @@ class DatabaseManager {
             await this.insertItem(item, config);
             return true; // Item was inserted
         } else {
-            if (item.item_modified_at != dbContent.item_modified_at) {
+            if (this.hasDifferentModifiedTime(item.item_modified_at, dbContent.item_modified_at)) {
                 await this.updateItem(item, dbContent.item_modified_at == null ? dbContent.status : 'pending');
             }
         }
         return false; // Item already exists
     }
     
+    /**
+     * Compare an incoming modified timestamp with the stored one
+     * Any difference counts, not only a newer time: a source that rolls an edit back, or a row stored
+     * without a modified time, is re-ingested too. MySQL returns TIMESTAMP columns as Date objects
+     * while drivers pass ISO strings, so both sides are compared as epoch milliseconds
+     * @param {string|Date|null} incoming - item_modified_at from the driver
+     * @param {string|Date|null} stored - item_modified_at from the database
+     * @returns {boolean} True if the item has a different modification time
+     */
+    hasDifferentModifiedTime(incoming, stored) {
+        const toTime = (value) => {
+            if (value === null || value === undefined) return null;
+            const time = new Date(value).getTime();
+            return isNaN(time) ? null : time;
+        };
+        
+        return toTime(incoming) !== toTime(stored);
+    }
+    
     /**
      * Check if item exists by hash and source
      */
@@ -231,7 +483,8 @@ class DatabaseManager {
             query += ', published_at = NOW()';
         } else if (status === 'skipped') {
             query += ', skipped_at = NOW(), skip_reason = ?';
-            params.push(skipReason);
+            // skip_reason is VARCHAR(255); error messages can be longer
+            params.push(skipReason ? String(skipReason).slice(0, 255) : skipReason);
         }
         
         if (processedData) {
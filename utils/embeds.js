@@ -0,0 +1,182 @@
+const { escapeText, escapeAttribute } = require('./xml-writer');
+
+/**
+ * Social and video embed conversion
+ * oEmbed markup arrives without its provider scripts, so each supported embed is rewritten
+ * into the markup MSN renders natively; anything else becomes a plain link to the embedded URL.
+ */
+
+/**
+ * Supported providers: how to recognise their URLs and the MSN embed markup for each.
+ * match() returns the canonical URL parts, or null if the URL isn't a post/video of this provider.
+ */
+const EMBED_PROVIDERS = {
+    youtube: {
+        match: url => {
+            const found = url.match(/^https?:\/\/(?:www\.|m\.)?(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/|live\/)|youtu\.be\/)([\w-]{11})/);
+            return found ? { id: found[1] } : null;
+        },
+        render: ({ id }) => `<iframe src="https://www.youtube.com/embed/${id}" width="560" height="315" frameborder="0" allowfullscreen></iframe>`
+    },
+
+    x: {
+        match: url => {
+            const found = url.match(/^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/(\w+)\/status(?:es)?\/(\d+)/);
+            return found ? { user: found[1], id: found[2] } : null;
+        },
+        render: ({ user, id }, text) => {
+            const url = `https://twitter.com/${user}/status/${id}`;
+            return `<blockquote class="twitter-tweet">${text ? `<p>${escapeText(text)}</p>` : ''}<a href="${url}">${url}</a></blockquote>`;
+        }
+    },
+
+    instagram: {
+        match: url => {
+            const found = url.match(/^https?:\/\/(?:www\.)?instagram\.com\/(?:[\w.]+\/)?(p|reel|tv)\/([\w-]+)/);
+            return found ? { type: found[1], id: found[2] } : null;
+        },
+        render: ({ type, id }) => {
+            const url = `https://www.instagram.com/${type}/${id}/`;
+            return `<blockquote class="instagram-media" data-instgrm-permalink="${url}" data-instgrm-version="14"><a href="${url}">${url}</a></blockquote>`;
+        }
+    },
+
+    tiktok: {
+        match: url => {
+            const found = url.match(/^https?:\/\/(?:www\.|m\.)?tiktok\.com\/@([\w.-]+)\/video\/(\d+)/);
+            return found ? { user: found[1], id: found[2] } : null;
+        },
+        render: ({ user, id }) => {
+            const url = `https://www.tiktok.com/@${user}/video/${id}`;
+            return `<blockquote class="tiktok-embed" cite="${url}" data-video-id="${id}"><a href="${url}">${url}</a></blockquote>`;
+        }
+    }
+};
+
+// Embed markup to look for: Gutenberg embed blocks first, then bare provider markup (classic editor, other CMSs)
+const EMBED_SELECTORS = [
+    'figure.wp-block-embed',
+    'blockquote.twitter-tweet',
+    'blockquote.instagram-media',
+    'blockquote.tiktok-embed',
+    'iframe'
+];
+
+// Marks converted embeds so later stages (the sanitizer) leave them alone
+const EMBED_ATTR = 'data-msn-embed';
+
+/**
+ * Get the providers enabled for a source
+ * @param {Object} config - Configuration object (MSN_EMBED_PROVIDERS)
+ * @returns {Array<string>} Enabled provider names
+ */
+function getEnabledProviders(config = {}) {
+    if (!config.MSN_EMBED_PROVIDERS) {
+        return Object.keys(EMBED_PROVIDERS);
+    }
+
+    const list = Array.isArray(config.MSN_EMBED_PROVIDERS) ? config.MSN_EMBED_PROVIDERS : String(config.MSN_EMBED_PROVIDERS).split(',');
+    return list.map(name => name.trim().toLowerCase()).filter(name => EMBED_PROVIDERS[name]);
+}
+
+/**
+ * Convert embeds in a loaded document
+ * @param {Function} $ - Loaded Cheerio document
+ * @param {Array<string>} providers - Enabled provider names
+ * @param {Object} counts - Counter map receiving one count per conversion (provider name, "link" or "removed")
+ */
+function convertEmbeds($, providers = Object.keys(EMBED_PROVIDERS), counts = {}) {
+    EMBED_SELECTORS.forEach(selector => {
+        $(selector).each((index, element) => {
+            const $embed = $(element);
+
+            // Already converted, or inside an embed handled by an earlier selector
+            if ($embed.closest(`[${EMBED_ATTR}]`).length > 0 || $embed.parents(EMBED_SELECTORS.slice(0, 4).join(', ')).length > 0) {
+                return;
+            }
+
+            const url = getEmbedUrl($, $embed);
+            const provider = url ? findProvider(url, providers) : null;
+
+            if (provider) {
+                const markup = EMBED_PROVIDERS[provider.name].render(provider.parts, getEmbedText($, $embed, provider.name));
+                $embed.replaceWith(markup.replace(/^<(\w+)/, `<$1 ${EMBED_ATTR}="${provider.name}"`));
+                count(counts, provider.name);
+            } else if (url) {
+                const caption = $embed.find('figcaption').text().trim();
+                $embed.replaceWith(`<p><a href="${escapeAttribute(url)}">${escapeText(caption || url)}</a></p>`);
+                count(counts, 'link');
+            } else if (!$embed.is('iframe')) {
+                // A wrapper with nothing to point at would only leave an empty figure or a dangling quote
+                $embed.remove();
+                count(counts, 'removed');
+            }
+        });
+    });
+}
+
+/**
+ * Find the URL an embed points at
+ * @param {Function} $ - Loaded Cheerio document
+ * @param {Object} $embed - Embed element
+ * @returns {string|null} Absolute http(s) URL or null
+ */
+function getEmbedUrl($, $embed) {
+    const candidates = [
+        $embed.is('iframe') ? $embed.attr('src') : $embed.find('iframe').attr('src'),
+        $embed.attr('cite'),
+        $embed.attr('data-instgrm-permalink'),
+        // The tweet permalink is the last link in the quote; earlier ones are mentions and hashtags
+        $embed.find('a[href]').last().attr('href'),
+        // Gutenberg stores the source URL as the wrapper text; the iframe/link is only there after oEmbed
+        $embed.find('.wp-block-embed__wrapper').text().trim()
+    ];
+
+    const url = candidates.find(candidate => candidate && /^(https?:)?\/\//.test(candidate.trim()));
+    return url ? url.trim().replace(/^\/\//, 'https://') : null;
+}
+
+/**
+ * Match a URL against the enabled providers
+ * @param {string} url - Embedded URL
+ * @param {Array<string>} providers - Enabled provider names
+ * @returns {Object|null} { name, parts } or null if no provider matches
+ */
+function findProvider(url, providers) {
+    for (const name of providers) {
+        const parts = EMBED_PROVIDERS[name].match(url);
+        if (parts) {
+            return { name, parts };
+        }
+    }
+    return null;
+}
+
+/**
+ * Text to keep inside the embed (the tweet text for X; other providers render their own)
+ * @param {Function} $ - Loaded Cheerio document
+ * @param {Object} $embed - Embed element
+ * @param {string} provider - Provider name
+ * @returns {string} Plain text
+ */
+function getEmbedText($, $embed, provider) {
+    if (provider !== 'x') return '';
+    return $embed.find('blockquote p').first().text().trim();
+}
+
+/**
+ * Increment a named counter
+ * @param {Object} counts - Counter map
+ * @param {string} name - Counter name
+ */
+function count(counts, name) {
+    counts[name] = (counts[name] || 0) + 1;
+}
+
+module.exports = {
+    EMBED_PROVIDERS,
+    EMBED_ATTR,
+    getEnabledProviders,
+    convertEmbeds,
+    count
+};
@@ -0,0 +1,309 @@
+const xml2js = require('xml2js');
+const logger = require('./logger');
+
+/**
+ * MSN feed validation
+ * Parses a generated feed back and checks every item against MSN's rules before it is published.
+ * Each rule has a severity, configurable per source with FEED_VALIDATION_SEVERITY:
+ *
+ *   abort - fail the run; nothing is uploaded
+ *   drop  - leave the item out of the feed
+ *   warn  - log only
+ *   off   - don't check
+ */
+const SEVERITIES = ['abort', 'drop', 'warn', 'off'];
+
+/**
+ * Rules and their default severities
+ */
+const DEFAULT_SEVERITIES = {
+    required: 'drop',      // guid, title, link, pubDate, description, plus the body for the item type
+    date: 'drop',          // pubDate in RFC 822 format (e.g. "Mon, 02 Jan 2026 03:04:05 +0000"), MSN metadata dates in W3C-DTF
+    'unique-guid': 'drop', // later items repeating an earlier GUID
+    image: 'drop',         // a lead image, and an http(s) URL on every image
+    length: 'drop',        // title / description length limits
+    slides: 'drop'         // slideshow minimum slide count
+};
+
+/**
+ * Limits checked by the length and slides rules (override with FEED_VALIDATION_LIMITS)
+ */
+const DEFAULT_LIMITS = {
+    titleMaxLength: 200,
+    descriptionMaxLength: 1000,
+    minSlides: 1
+};
+
+const RFC_822_DATE = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{2} (Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{4} \d{2}:\d{2}:\d{2} [+-]\d{4}$/;
+const W3C_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Parse a JSON object setting
+ * @param {string|Object} value - Setting value
+ * @param {string} name - Setting name (for the problem)
+ * @param {Function} report - Receives the problem if the value isn't a JSON object
+ * @returns {Object} Parsed object ({} if missing or invalid)
+ */
+function parseObjectSetting(value, name, report) {
+    if (!value) return {};
+
+    let parsed = value;
+    if (typeof value === 'string') {
+        try {
+            parsed = JSON.parse(value);
+        } catch (error) {
+            report(`invalid ${name}: ${error.message}`);
+            return {};
+        }
+    }
+
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+    }
+    report(`${name}: expected a JSON object`);
+    return {};
+}
+
+/**
+ * Build the validation options for a source
+ * @param {Object} config - Configuration object (FEED_VALIDATION_SEVERITY, FEED_VALIDATION_LIMITS, EXTERNAL_FEED_TYPE)
+ * @param {Function} report - Receives each problem with the settings (by default logged as ignored)
+ * @returns {Object} { severities, limits, feedType }
+ */
+function getValidationOptions(config = {}, report = problem => logger.warn(`Ignoring ${problem}`)) {
+    const severities = { ...DEFAULT_SEVERITIES };
+    const overrides = parseObjectSetting(config.FEED_VALIDATION_SEVERITY, 'FEED_VALIDATION_SEVERITY', report);
+
+    for (const [rule, severity] of Object.entries(overrides)) {
+        if (!(rule in DEFAULT_SEVERITIES)) {
+            report(`FEED_VALIDATION_SEVERITY rule "${rule}" (expected ${Object.keys(DEFAULT_SEVERITIES).join(', ')})`);
+        } else if (!SEVERITIES.includes(severity)) {
+            report(`FEED_VALIDATION_SEVERITY for "${rule}": "${severity}" (expected ${SEVERITIES.join(', ')})`);
+        } else {
+            severities[rule] = severity;
+        }
+    }
+
+    const limits = { ...DEFAULT_LIMITS };
+    const limitOverrides = parseObjectSetting(config.FEED_VALIDATION_LIMITS, 'FEED_VALIDATION_LIMITS', report);
+
+    for (const [name, value] of Object.entries(limitOverrides)) {
+        if (!(name in DEFAULT_LIMITS) || !Number.isInteger(value) || value < 0) {
+            report(`FEED_VALIDATION_LIMITS "${name}" (expected ${Object.keys(DEFAULT_LIMITS).join(', ')} as non-negative integers)`);
+            continue;
+        }
+        limits[name] = value;
+    }
+
+    return {
+        severities: severities,
+        limits: limits,
+        feedType: config.EXTERNAL_FEED_TYPE ? String(config.EXTERNAL_FEED_TYPE).toLowerCase() : null
+    };
+}
+
+/**
+ * Check a source's validation settings without building the options
+ * @param {Object} config - Configuration object (FEED_VALIDATION_SEVERITY, FEED_VALIDATION_LIMITS)
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+function checkValidationOptions(config = {}) {
+    const problems = [];
+    getValidationOptions(config, problem => problems.push(problem));
+    return problems;
+}
+
+/**
+ * Validate a generated MSN feed
+ * @param {string} xml - Feed XML
+ * @param {Object} options - Result of getValidationOptions
+ * @returns {Promise<Object>} Report: { errors (feed-level), items: [{ index, guid, title, errors }], itemCount, abort, dropIndexes }
+ *                            where each error is { rule, message, severity }
+ */
+async function validateFeed(xml, options = getValidationOptions()) {
+    const report = { errors: [], items: [], itemCount: 0, abort: false, dropIndexes: [] };
+
+    let document;
+    try {
+        document = await xml2js.parseStringPromise(xml);
+    } catch (error) {
+        report.errors.push({ rule: 'xml', message: `feed is not well-formed XML: ${error.message.split('\n')[0]}`, severity: 'abort' });
+        report.abort = true;
+        return report;
+    }
+
+    const channel = document.rss && document.rss.channel && document.rss.channel[0];
+    if (!channel) {
+        report.errors.push({ rule: 'xml', message: 'feed has no <rss><channel>', severity: 'abort' });
+        report.abort = true;
+        return report;
+    }
+
+    ['title', 'link', 'description'].forEach(name => {
+        if (!text(channel, name)) {
+            report.errors.push({ rule: 'xml', message: `channel has no <${name}>`, severity: 'abort' });
+            report.abort = true;
+        }
+    });
+
+    const seenGuids = new Set();
+    report.itemCount = (channel.item || []).length;
+
+    (channel.item || []).forEach((item, index) => {
+        const guid = text(item, 'guid');
+        const errors = [];
+        const add = (rule, message) => {
+            const severity = options.severities[rule];
+            if (severity !== 'off') {
+                errors.push({ rule, message, severity });
+            }
+        };
+
+        checkItem(item, options, add);
+
+        if (guid) {
+            if (seenGuids.has(guid)) {
+                add('unique-guid', `duplicate guid ${guid}`);
+            }
+            seenGuids.add(guid);
+        }
+
+        if (errors.length > 0) {
+            report.items.push({ index, guid, title: text(item, 'title'), errors });
+        }
+        if (errors.some(error => error.severity === 'abort')) {
+            report.abort = true;
+        } else if (errors.some(error => error.severity === 'drop')) {
+            report.dropIndexes.push(index);
+        }
+    });
+
+    return report;
+}
+
+/**
+ * Check one <item> against the rules
+ * @param {Object} item - Parsed item (xml2js)
+ * @param {Object} options - Validation options
+ * @param {Function} add - Records a violation: add(rule, message)
+ */
+function checkItem(item, options, add) {
+    const { limits } = options;
+    const group = item['media:group'] && item['media:group'][0];
+    const media = item['media:content'] || [];
+    const video = media.find(content => attribute(content, 'medium') === 'video');
+    const type = options.feedType || (group ? 'slideshow' : (video ? 'video' : 'article'));
+
+    ['guid', 'title', 'link', 'pubDate', 'description'].forEach(name => {
+        if (!text(item, name)) add('required', `missing <${name}>`);
+    });
+
+    if (type === 'article' && !text(item, 'content:encoded')) {
+        add('required', 'article has no <content:encoded>');
+    }
+    if (type === 'slideshow' && !group) {
+        add('required', 'slideshow has no <media:group>');
+    }
+    if (type === 'video' && !video) {
+        add('required', 'video has no <media:content medium="video">');
+    }
+
+    const pubDate = text(item, 'pubDate');
+    if (pubDate && (!RFC_822_DATE.test(pubDate) || isNaN(new Date(pubDate).getTime()))) {
+        add('date', `pubDate is not an RFC 822 date: "${pubDate}"`);
+    }
+
+    ['dcterms:modified', 'mi:dateTimeWritten'].forEach(name => {
+        const value = text(item, name);
+        if (value && (!W3C_DATE.test(value) || isNaN(new Date(value).getTime()))) {
+            add('date', `${name} is not a W3C-DTF date: "${value}"`);
+        }
+    });
+
+    const title = text(item, 'title');
+    if (title.length > limits.titleMaxLength) {
+        add('length', `title is ${title.length} characters (maximum ${limits.titleMaxLength})`);
+    }
+    const description = text(item, 'description');
+    if (description.length > limits.descriptionMaxLength) {
+        add('length', `description is ${description.length} characters (maximum ${limits.descriptionMaxLength})`);
+    }
+
+    // Video items carry their image as media:thumbnail
+    const leadImage = type === 'video'
+        ? video && video['media:thumbnail'] && video['media:thumbnail'][0]
+        : media.find(content => attribute(content, 'medium') !== 'video');
+    if (!leadImage) {
+        add('image', type === 'video' ? 'video has no <media:thumbnail>' : 'no lead image <media:content>');
+    }
+
+    const images = [...media, ...(group ? group['media:content'] || [] : [])]
+        .filter(content => attribute(content, 'medium') !== 'video');
+    if (video && video['media:thumbnail']) {
+        images.push(video['media:thumbnail'][0]);
+    }
+    images.forEach(image => {
+        const url = attribute(image, 'url');
+        if (!/^https?:\/\/[^/\s]+/i.test(url)) {
+            add('image', `image URL is not an absolute http(s) URL: "${url}"`);
+        }
+    });
+
+    if (group) {
+        // The lead image is repeated first in the group
+        const slideCount = (group['media:content'] || []).length - (media.length > 0 ? 1 : 0);
+        if (slideCount < limits.minSlides) {
+            add('slides', `slideshow has ${slideCount} slide(s) (minimum ${limits.minSlides})`);
+        }
+    }
+}
+
+/**
+ * Get the trimmed text of a child element
+ * @param {Object} node - Parsed element (xml2js)
+ * @param {string} name - Child element name
+ * @returns {string} Text ('' if missing)
+ */
+function text(node, name) {
+    const child = node[name] && node[name][0];
+    if (child === undefined || child === null) return '';
+    return String(typeof child === 'object' ? (child._ || '') : child).trim();
+}
+
+/**
+ * Get an attribute value
+ * @param {Object} node - Parsed element (xml2js)
+ * @param {string} name - Attribute name
+ * @returns {string} Value ('' if missing)
+ */
+function attribute(node, name) {
+    return node && node.$ && node.$[name] !== undefined ? String(node.$[name]) : '';
+}
+
+/**
+ * Format a validation report as log lines, one per violation
+ * @param {Object} report - Result of validateFeed
+ * @returns {Array<string>} Lines
+ */
+function formatReport(report) {
+    const lines = report.errors.map(error => `[${error.severity}] feed: ${error.message}`);
+
+    report.items.forEach(item => {
+        const label = `item ${item.index + 1}${item.guid ? ` (${item.guid})` : ''}`;
+        item.errors.forEach(error => {
+            lines.push(`[${error.severity}] ${label} ${error.rule}: ${error.message}`);
+        });
+    });
+
+    return lines;
+}
+
+module.exports = {
+    SEVERITIES,
+    DEFAULT_SEVERITIES,
+    DEFAULT_LIMITS,
+    getValidationOptions,
+    checkValidationOptions,
+    validateFeed,
+    formatReport
+};
@@ -0,0 +1,240 @@
+const cheerio = require('cheerio');
+const logger = require('./logger');
+const { escapeText, escapeAttribute } = require('./xml-writer');
+
+/**
+ * What to do with each Gutenberg block, keyed by the name after "wp-block-"
+ * (e.g. "pullquote" for .wp-block-pullquote). The most specific class wins, so
+ * "embed-youtube" can override "embed". Extend or override with WP_BLOCK_RULES.
+ *
+ * Actions:
+ *   keep       - leave the block as is
+ *   drop       - remove the block and everything in it
+ *   unwrap     - remove the wrapper, keep its children (layout blocks)
+ *   blockquote - rewrite as <blockquote><p>…</p><cite>…</cite></blockquote>
+ *   link       - replace an embed with a paragraph linking to the embedded URL
+ *   hr         - replace with a plain <hr>
+ */
+const DEFAULT_BLOCK_RULES = {
+    // Text
+    'paragraph': 'keep',
+    'heading': 'keep',
+    'list': 'keep',
+    'quote': 'keep',
+    'pullquote': 'blockquote',
+    'verse': 'keep',
+    'code': 'keep',
+    'preformatted': 'keep',
+    'table': 'keep',
+    'separator': 'hr',
+
+    // Media
+    'image': 'keep',
+    'gallery': 'keep',
+    'video': 'keep',
+    // Converted to MSN embed markup (or a link) by utils/embeds.js when the feed is built
+    'embed': 'keep',
+    'audio': 'drop',
+    'file': 'drop',
+
+    // Layout
+    'group': 'unwrap',
+    'columns': 'unwrap',
+    'column': 'unwrap',
+    'cover': 'unwrap',
+    'media-text': 'unwrap',
+    'details': 'unwrap',
+    'spacer': 'drop',
+
+    // Site furniture MSN doesn't support
+    'buttons': 'drop',
+    'button': 'drop',
+    'table-of-contents': 'drop',
+    'yoast-seo-table-of-contents': 'drop',
+    'latest-posts': 'drop',
+    'related-posts': 'drop',
+    'jetpack-related-posts': 'drop',
+    'rss': 'drop',
+    'query': 'drop',
+    'search': 'drop',
+    'social-links': 'drop',
+    'navigation': 'drop',
+    'shortcode': 'drop'
+};
+
+const ACTIONS = ['keep', 'drop', 'unwrap', 'blockquote', 'link', 'hr'];
+
+/**
+ * Build the block rule table for a source
+ * @param {Object} config - Configuration object (WP_BLOCK_RULES, WP_BLOCK_DEFAULT_ACTION)
+ * @param {Function} report - Receives each problem with the settings (by default logged as ignored)
+ * @returns {Object} Rules ({ rules, defaultAction })
+ */
+function getBlockRules(config = {}, report = problem => logger.warn(`Ignoring ${problem}`)) {
+    let overrides = config.WP_BLOCK_RULES || {};
+
+    if (typeof overrides === 'string') {
+        try {
+            overrides = JSON.parse(overrides);
+        } catch (error) {
+            report(`invalid WP_BLOCK_RULES: ${error.message}`);
+            overrides = {};
+        }
+    }
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        report('WP_BLOCK_RULES: expected a JSON object of block name to action');
+        overrides = {};
+    }
+
+    const rules = { ...DEFAULT_BLOCK_RULES };
+    for (const [block, action] of Object.entries(overrides)) {
+        if (!ACTIONS.includes(action)) {
+            report(`WP_BLOCK_RULES entry "${block}": unknown action "${action}" (expected ${ACTIONS.join(', ')})`);
+            continue;
+        }
+        rules[block.replace(/^wp-block-/, '')] = action;
+    }
+
+    if (config.WP_BLOCK_DEFAULT_ACTION && !ACTIONS.includes(config.WP_BLOCK_DEFAULT_ACTION)) {
+        report(`WP_BLOCK_DEFAULT_ACTION "${config.WP_BLOCK_DEFAULT_ACTION}" (expected ${ACTIONS.join(', ')})`);
+    }
+    const defaultAction = ACTIONS.includes(config.WP_BLOCK_DEFAULT_ACTION) ? config.WP_BLOCK_DEFAULT_ACTION : 'keep';
+
+    return { rules, defaultAction };
+}
+
+/**
+ * Check a source's block rule settings without building the table
+ * @param {Object} config - Configuration object (WP_BLOCK_RULES, WP_BLOCK_DEFAULT_ACTION)
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+function checkBlockRules(config = {}) {
+    const problems = [];
+    getBlockRules(config, problem => problems.push(problem));
+    return problems;
+}
+
+/**
+ * Rewrite Gutenberg blocks in article HTML according to the rule table
+ * @param {string} html - Article HTML (content.rendered)
+ * @param {Object} blockRules - Rules from getBlockRules
+ * @returns {string} Transformed HTML
+ */
+function transformBlocks(html, blockRules = getBlockRules()) {
+    if (!html) return html;
+
+    const $ = cheerio.load(html);
+
+    // One pass in document order, so outer blocks go first; blocks inside a dropped or rewritten block are skipped
+    $('[class*="wp-block-"]').each((index, element) => {
+        if (!isAttached(element)) return;
+
+        // null for BEM parts such as wp-block-button__link; they are left to their block
+        const blockName = resolveBlockName($(element).attr('class'), blockRules.rules);
+        if (!blockName) return;
+
+        const action = blockRules.rules[blockName] || blockRules.defaultAction;
+        if (!blockRules.rules[blockName]) {
+            logger.debug(`Gutenberg block "${blockName}" has no rule, using default action "${action}"`);
+        }
+        applyAction($, $(element), action);
+    });
+
+    return $('body').html();
+}
+
+/**
+ * Check whether an element is still in the document (not removed or replaced along with an ancestor)
+ * @param {Object} element - DOM node
+ * @returns {boolean} True if the element's ancestors reach the document root
+ */
+function isAttached(element) {
+    let node = element;
+    while (node.parent) {
+        node = node.parent;
+    }
+    return node.type === 'root';
+}
+
+/**
+ * Find the block name for an element's classes, preferring the most specific rule
+ * @param {string} className - class attribute
+ * @param {Object} rules - Block rules
+ * @returns {string|null} Block name or null if the element is only a block part
+ */
+function resolveBlockName(className, rules) {
+    const names = (className || '')
+        .split(/\s+/)
+        .filter(name => name.startsWith('wp-block-') && !name.includes('__'))
+        .map(name => name.slice('wp-block-'.length))
+        .filter(Boolean);
+
+    if (names.length === 0) return null;
+
+    // e.g. "wp-block-embed wp-block-embed-youtube": a rule for embed-youtube beats one for embed
+    const withRule = names.filter(name => rules[name]).sort((a, b) => b.length - a.length);
+    return withRule.length > 0 ? withRule[0] : names[0];
+}
+
+/**
+ * Apply a rule action to a block
+ * @param {Function} $ - Loaded Cheerio document
+ * @param {Object} $block - Block element
+ * @param {string} action - Rule action
+ */
+function applyAction($, $block, action) {
+    switch (action) {
+        case 'drop':
+            $block.remove();
+            break;
+
+        case 'unwrap':
+            $block.replaceWith($block.contents());
+            break;
+
+        case 'hr':
+            $block.replaceWith('<hr>');
+            break;
+
+        case 'blockquote': {
+            const $source = $block.is('blockquote') ? $block : $block.find('blockquote').first();
+            const $quote = $source.length > 0 ? $source : $block;
+            const citation = $quote.find('cite').first().text().trim();
+
+            $quote.find('cite').remove();
+            const paragraphs = $quote.find('p').length > 0
+                ? $quote.find('p').map((index, element) => `<p>${$(element).html()}</p>`).get().join('')
+                : `<p>${$quote.html()}</p>`;
+
+            $block.replaceWith(`<blockquote>${paragraphs}${citation ? `<cite>${escapeText(citation)}</cite>` : ''}</blockquote>`);
+            break;
+        }
+
+        case 'link': {
+            // Gutenberg stores the source URL as the wrapper text; the iframe/link is only there after oEmbed
+            const url = $block.find('iframe').attr('src')
+                || $block.find('a[href]').attr('href')
+                || $block.find('.wp-block-embed__wrapper').text().trim();
+            const caption = $block.find('figcaption').text().trim();
+
+            if (url && /^https?:\/\//.test(url)) {
+                $block.replaceWith(`<p><a href="${escapeAttribute(url)}">${escapeText(caption || url)}</a></p>`);
+            } else {
+                $block.remove();
+            }
+            break;
+        }
+
+        default:
+            // keep: leave the block as is
+            break;
+    }
+}
+
+module.exports = {
+    DEFAULT_BLOCK_RULES,
+    getBlockRules,
+    checkBlockRules,
+    transformBlocks
+};
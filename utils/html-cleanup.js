@@ -0,0 +1,257 @@
+const cheerio = require('cheerio');
+const logger = require('./logger');
+const { escapeText } = require('./xml-writer');
+
+/**
+ * Per-source HTML cleanup rules (HTML_CLEANUP_RULES), applied in order to stored content at ingestion.
+ * Each rule is an object with one action:
+ *
+ *   { "remove": "div[class*=ad-dog]" }                      - remove matching elements
+ *   { "unwrap": "span.highlight" }                          - replace matching elements with their children
+ *   { "replace": "hr.fancy", "with": "<hr>" }               - replace matching elements ({text} / {html} are substituted)
+ *   { "stripAttributes": ["style", "data-*"], "in": "p" }   - remove attributes ("in" defaults to every element)
+ *   { "pattern": "Sponsored by [^<]+", "flags": "gi", "replacement": "" } - regex over the serialized HTML
+ *
+ * remove, unwrap and replace also accept "matching": a regex the element's text must match
+ * (e.g. { "remove": "p", "matching": "^Read more:" }).
+ */
+const ACTIONS = ['remove', 'unwrap', 'replace', 'stripAttributes', 'pattern'];
+
+// Parsed rule sets, keyed by the raw setting, so invalid rules are only reported once per run
+const parsedRules = new Map();
+
+/**
+ * Build the cleanup rule list for a source
+ * @param {Object} config - Configuration object (HTML_CLEANUP_RULES)
+ * @returns {Array<Object>} Valid rules, in order
+ */
+function getCleanupRules(config = {}) {
+    const setting = config.HTML_CLEANUP_RULES;
+    if (!setting) return [];
+
+    const cacheKey = typeof setting === 'string' ? setting : JSON.stringify(setting);
+    if (!parsedRules.has(cacheKey)) {
+        parsedRules.set(cacheKey, parseCleanupRules(setting, problem => logger.warn(`Ignoring ${problem}`)));
+    }
+
+    return parsedRules.get(cacheKey);
+}
+
+/**
+ * Check a source's HTML_CLEANUP_RULES without applying them
+ * @param {Object} config - Configuration object (HTML_CLEANUP_RULES)
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+function checkCleanupRules(config = {}) {
+    const problems = [];
+    if (config.HTML_CLEANUP_RULES) {
+        parseCleanupRules(config.HTML_CLEANUP_RULES, problem => problems.push(problem));
+    }
+    return problems;
+}
+
+/**
+ * Parse HTML_CLEANUP_RULES, leaving out invalid rules
+ * @param {string|Array} setting - Setting value
+ * @param {Function} report - Receives each problem with the setting
+ * @returns {Array<Object>} Valid rules, in order
+ */
+function parseCleanupRules(setting, report) {
+    let rules = setting;
+    if (typeof rules === 'string') {
+        try {
+            rules = JSON.parse(rules);
+        } catch (error) {
+            report(`invalid HTML_CLEANUP_RULES: ${error.message}`);
+            rules = [];
+        }
+    }
+
+    if (!Array.isArray(rules)) {
+        report('HTML_CLEANUP_RULES: expected a JSON array of rules');
+        rules = [];
+    }
+
+    return rules.filter((rule, index) => {
+        const problem = validateRule(rule);
+        if (problem) {
+            report(`HTML_CLEANUP_RULES[${index}]: ${problem}`);
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Check a cleanup rule
+ * @param {Object} rule - Rule object
+ * @returns {string|null} Problem description or null if valid
+ */
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'rule must be an object';
+    }
+
+    const actions = ACTIONS.filter(action => rule[action] !== undefined);
+    if (actions.length !== 1) {
+        return `rule must have exactly one of ${ACTIONS.join(', ')}`;
+    }
+
+    const action = actions[0];
+
+    if (action === 'stripAttributes') {
+        const attributes = Array.isArray(rule.stripAttributes) ? rule.stripAttributes : [rule.stripAttributes];
+        if (attributes.some(attribute => typeof attribute !== 'string' || attribute === '')) {
+            return 'stripAttributes must be an attribute name or a list of names';
+        }
+    } else if (typeof rule[action] !== 'string' || rule[action].trim() === '') {
+        return `${action} must be a non-empty string`;
+    }
+
+    if (action === 'replace' && typeof rule.with !== 'string') {
+        return 'replace needs a "with" HTML string';
+    }
+
+    if (rule.in !== undefined && (typeof rule.in !== 'string' || rule.in.trim() === '')) {
+        return 'in must be a non-empty string';
+    }
+
+    // Bad selectors would otherwise only throw when the rule runs during ingestion
+    for (const key of ['remove', 'unwrap', 'replace', 'in']) {
+        const problem = rule[key] !== undefined ? checkSelector(rule[key]) : null;
+        if (problem) {
+            return `invalid ${key} selector "${rule[key]}": ${problem}`;
+        }
+    }
+
+    try {
+        if (rule.pattern !== undefined) new RegExp(rule.pattern, rule.flags);
+        if (rule.matching !== undefined) new RegExp(rule.matching, 'i');
+    } catch (error) {
+        return `invalid regular expression: ${error.message}`;
+    }
+
+    return null;
+}
+
+/**
+ * Check that a CSS selector compiles
+ * @param {string} selector - Selector
+ * @returns {string|null} Problem description or null if valid
+ */
+function checkSelector(selector) {
+    try {
+        cheerio.load('')(selector);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Apply cleanup rules to an HTML fragment
+ * @param {string} html - HTML fragment
+ * @param {Array<Object>} rules - Rules from getCleanupRules
+ * @param {Array<Object>} stats - Optional list that receives { rule, matches } per rule
+ * @returns {string} Cleaned HTML
+ */
+function applyCleanupRules(html, rules = [], stats = null) {
+    if (!html || rules.length === 0) return html;
+
+    let output = html;
+
+    rules.forEach(rule => {
+        let matches = 0;
+
+        if (rule.pattern !== undefined) {
+            // Serialized-HTML rules run between the DOM rules, in their configured position
+            const flags = rule.flags !== undefined ? rule.flags : 'g';
+            const found = output.match(new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`));
+            matches = found ? (flags.includes('g') ? found.length : 1) : 0;
+            output = output.replace(new RegExp(rule.pattern, flags), rule.replacement || '');
+        } else {
+            const $ = cheerio.load(output, null, false);
+            matches = applyDomRule($, rule);
+            output = $.html();
+        }
+
+        if (stats) {
+            stats.push({ rule, matches });
+        }
+    });
+
+    return output;
+}
+
+/**
+ * Apply a remove / unwrap / replace / stripAttributes rule to a loaded fragment
+ * @param {Function} $ - Loaded Cheerio fragment
+ * @param {Object} rule - Cleanup rule
+ * @returns {number} Number of elements changed
+ */
+function applyDomRule($, rule) {
+    if (rule.stripAttributes !== undefined) {
+        const names = Array.isArray(rule.stripAttributes) ? rule.stripAttributes : [rule.stripAttributes];
+        let changed = 0;
+
+        $(rule.in || '*').each((index, element) => {
+            const attributes = Object.keys(element.attribs || {}).filter(attribute => names.some(name => matchesAttribute(attribute, name)));
+            attributes.forEach(attribute => $(element).removeAttr(attribute));
+            if (attributes.length > 0) changed++;
+        });
+
+        return changed;
+    }
+
+    const selector = rule.remove || rule.unwrap || rule.replace;
+    const matching = rule.matching !== undefined ? new RegExp(rule.matching, 'i') : null;
+
+    const $elements = $(selector).filter((index, element) => !matching || matching.test($(element).text().trim()));
+
+    $elements.each((index, element) => {
+        const $element = $(element);
+
+        if (rule.remove) {
+            $element.remove();
+        } else if (rule.unwrap) {
+            $element.replaceWith($element.contents());
+        } else {
+            // One pass with a replacer function, so "$&"-style patterns and placeholders inside the element are kept as-is
+            $element.replaceWith(rule.with.replace(/\{(text|html)\}/g, (placeholder, name) => (
+                name === 'text' ? escapeText($element.text().trim()) : $element.html() || ''
+            )));
+        }
+    });
+
+    return $elements.length;
+}
+
+/**
+ * Match an attribute name against a name or a trailing-wildcard prefix (e.g. "data-*")
+ * @param {string} attribute - Attribute name
+ * @param {string} name - Configured name
+ * @returns {boolean} True if the attribute should be stripped
+ */
+function matchesAttribute(attribute, name) {
+    return name.endsWith('*') ? attribute.startsWith(name.slice(0, -1)) : attribute === name;
+}
+
+/**
+ * Describe a rule for logs and the preview command
+ * @param {Object} rule - Cleanup rule
+ * @returns {string} Short description
+ */
+function describeRule(rule) {
+    const action = ACTIONS.find(name => rule[name] !== undefined);
+    const target = Array.isArray(rule[action]) ? rule[action].join(', ') : rule[action];
+    const matching = rule.matching !== undefined ? ` matching /${rule.matching}/` : '';
+    return `${action} ${target}${matching}`;
+}
+
+module.exports = {
+    getCleanupRules,
+    checkCleanupRules,
+    checkSelector,
+    applyCleanupRules,
+    describeRule
+};
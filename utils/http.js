@@ -0,0 +1,359 @@
+const logger = require('./logger');
+const { maskSensitiveData } = require('./sensitive-data');
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Shared HTTP client for drivers and utilities
+ * Wraps fetch with request timeouts, retries with exponential backoff (honouring Retry-After),
+ * per-host rate limiting, a configurable User-Agent, debug logging and conditional GET caching.
+ */
+class HttpClient {
+    constructor(options = {}) {
+        this.hostNextRequestAt = new Map();
+        this.cacheStore = null;
+        this.pendingCacheEntries = new Map();
+        this.cacheStats = { requests: 0, hits: 0 };
+        this.configure(options);
+    }
+
+    /**
+     * Apply settings from a configuration object
+     * @param {Object} config - Configuration object (HTTP_* settings)
+     */
+    configure(config = {}) {
+        this.timeoutMs = parseInt(config.HTTP_TIMEOUT_MS) || 30000;
+        const maxRetries = parseInt(config.HTTP_MAX_RETRIES);
+        this.maxRetries = isNaN(maxRetries) ? 3 : maxRetries;
+        this.retryBaseMs = parseInt(config.HTTP_RETRY_BASE_MS) || 500;
+        this.maxRetryDelayMs = parseInt(config.HTTP_MAX_RETRY_DELAY_MS) || 60000;
+        this.userAgent = config.HTTP_USER_AGENT || 'lambda-cron-msn-feed/1.0 (+rss-to-msn-feed-converter)';
+        this.defaultRateLimit = parseFloat(config.HTTP_RATE_LIMIT) || 0;
+        this.hostRateLimits = this.parseHostRateLimits(config.HTTP_HOST_RATE_LIMITS);
+
+        // A full crawl must see every page, so it never sends cache validators
+        const fullCrawl = config.INGEST_FULL_CRAWL === 'true' || config.INGEST_FULL_CRAWL === true;
+        const cacheDisabled = config.HTTP_CONDITIONAL_CACHE === 'false' || config.HTTP_CONDITIONAL_CACHE === false;
+        this.conditionalEnabled = !fullCrawl && !cacheDisabled;
+    }
+
+    /**
+     * Set the store used to persist ETag / Last-Modified validators per URL
+     * @param {Object|null} store - Object with getHttpCacheEntry(url) and saveHttpCacheEntry(url, entry)
+     */
+    useCache(store) {
+        this.cacheStore = store;
+        this.pendingCacheEntries.clear();
+        this.cacheStats = { requests: 0, hits: 0 };
+    }
+
+    /**
+     * Perform an HTTP request
+     * With `conditional: true`, stored validators are sent and a 304 is returned to the caller;
+     * with `storeBody: true` as well, a 304 is answered from the stored body instead.
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options plus { timeout, retries, retryNonIdempotent, conditional, storeBody }
+     * @returns {Promise<Response>} Fetch response (non-2xx responses are returned, not thrown)
+     */
+    async request(url, options = {}) {
+        const { timeout, retries, retryNonIdempotent, conditional, storeBody, ...fetchOptions } = options;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const headers = {
+            'User-Agent': this.userAgent,
+            ...(fetchOptions.headers || {})
+        };
+
+        const useCache = conditional === true && method === 'GET' && this.isCacheEnabled();
+        let cached = null;
+
+        if (useCache) {
+            cached = await this.getCacheEntry(url, storeBody === true);
+            this.cacheStats.requests++;
+
+            if (cached && cached.etag) {
+                headers['If-None-Match'] = cached.etag;
+            }
+            if (cached && cached.last_modified) {
+                headers['If-Modified-Since'] = cached.last_modified;
+            }
+        }
+
+        const response = await this.send(url, { ...fetchOptions, method, headers }, {
+            timeout: timeout || this.timeoutMs,
+            maxRetries: retries !== undefined ? retries : this.maxRetries,
+            canRetryFailures: IDEMPOTENT_METHODS.includes(method) || retryNonIdempotent === true
+        });
+
+        if (!useCache) {
+            return response;
+        }
+
+        return this.handleConditionalResponse(url, response, cached, storeBody === true);
+    }
+
+    /**
+     * Send a request, retrying timeouts, network errors and retryable statuses
+     * @param {string} url - Request URL
+     * @param {Object} fetchOptions - fetch options (method and headers already resolved)
+     * @param {Object} retryOptions - { timeout, maxRetries, canRetryFailures }
+     * @returns {Promise<Response>} Fetch response
+     */
+    async send(url, fetchOptions, { timeout, maxRetries, canRetryFailures }) {
+        const method = fetchOptions.method;
+        const maskedUrl = maskSensitiveData(url);
+
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForRateLimit(url);
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+            // The timer also covers reading the body, so don't let it hold the process open
+            timer.unref();
+
+            const startedAt = Date.now();
+            let response;
+
+            try {
+                response = await fetch(url, {
+                    ...fetchOptions,
+                    signal: controller.signal
+                });
+            } catch (error) {
+                const reason = error.name === 'AbortError' ? `timed out after ${timeout}ms` : (error.cause && error.cause.code) || error.message;
+                logger.debug(`HTTP ${method} ${maskedUrl} failed after ${Date.now() - startedAt}ms: ${reason}`);
+
+                if (canRetryFailures && attempt < maxRetries) {
+                    const delay = this.getRetryDelay(attempt);
+                    logger.warn(`HTTP ${method} ${maskedUrl} ${reason}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+                    await this.sleep(delay);
+                    continue;
+                }
+
+                throw new Error(`HTTP ${method} ${maskedUrl} failed: ${reason}`);
+            }
+
+            logger.debug(`HTTP ${method} ${maskedUrl} -> ${response.status} (${Date.now() - startedAt}ms)`);
+
+            // 429 is always safe to retry; other failures only for idempotent requests
+            const retryable = response.status === 429 || (canRetryFailures && RETRYABLE_STATUSES.includes(response.status));
+
+            if (retryable && attempt < maxRetries) {
+                const delay = this.getRetryDelay(attempt, response.headers.get('retry-after'));
+                logger.warn(`HTTP ${method} ${maskedUrl} returned ${response.status}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+
+                // Release the connection before retrying
+                if (response.body) {
+                    await response.body.cancel().catch(() => {});
+                }
+
+                await this.sleep(delay);
+                continue;
+            }
+
+            return response;
+        }
+    }
+
+    /**
+     * Record validators from a 200 response, or count a 304 as a cache hit
+     * @param {string} url - Request URL
+     * @param {Response} response - Fetch response
+     * @param {Object|null} cached - Stored cache entry
+     * @param {boolean} storeBody - Whether the body is stored and replayed on 304
+     * @returns {Promise<Response>} Response for the caller
+     */
+    async handleConditionalResponse(url, response, cached, storeBody) {
+        if (response.status === 304 && cached) {
+            this.cacheStats.hits++;
+            logger.debug(`HTTP cache hit (304) for ${maskSensitiveData(url)}`);
+
+            if (storeBody) {
+                return new Response(cached.body, {
+                    status: 200,
+                    headers: { 'Content-Type': cached.content_type || 'text/plain' }
+                });
+            }
+
+            return response;
+        }
+
+        const etag = response.headers.get('etag');
+        const lastModified = response.headers.get('last-modified');
+
+        if (response.ok && (etag || lastModified)) {
+            this.pendingCacheEntries.set(url, {
+                etag: etag,
+                last_modified: lastModified,
+                content_type: storeBody ? response.headers.get('content-type') : null,
+                body: storeBody ? await response.clone().text() : null
+            });
+        }
+
+        return response;
+    }
+
+    /**
+     * Whether conditional requests can be made (enabled and a store is set)
+     * @returns {boolean} True if the cache is usable
+     */
+    isCacheEnabled() {
+        return this.conditionalEnabled && this.cacheStore !== null;
+    }
+
+    /**
+     * Look up stored validators for a URL
+     * @param {string} url - Request URL
+     * @param {boolean} requireBody - Only return entries that have a stored body
+     * @returns {Promise<Object|null>} Cache entry or null
+     */
+    async getCacheEntry(url, requireBody = false) {
+        try {
+            const entry = await this.cacheStore.getHttpCacheEntry(url);
+            if (!entry || (requireBody && entry.body === null)) {
+                return null;
+            }
+            return entry;
+        } catch (error) {
+            logger.warn(`HTTP cache lookup failed, fetching without validators: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Forget the validators collected for a URL during this run, so the next run fetches it in full
+     * @param {string} url - Request URL
+     */
+    discardCacheEntry(url) {
+        this.pendingCacheEntries.delete(url);
+    }
+
+    /**
+     * Persist validators collected during this run
+     * Called once the run has succeeded, so a failed run never caches a response it didn't process.
+     */
+    async commitCache() {
+        if (!this.cacheStore) {
+            return;
+        }
+
+        for (const [url, entry] of this.pendingCacheEntries) {
+            await this.cacheStore.saveHttpCacheEntry(url, entry);
+        }
+
+        logger.debug(`HTTP cache: stored validators for ${this.pendingCacheEntries.size} URL(s)`);
+        this.pendingCacheEntries.clear();
+    }
+
+    /**
+     * Conditional request statistics for the current run
+     * @returns {Object} { requests, hits, hitRate } (hitRate as a percentage)
+     */
+    getCacheStats() {
+        const { requests, hits } = this.cacheStats;
+        return {
+            requests,
+            hits,
+            hitRate: requests > 0 ? Math.round((hits / requests) * 100) : 0
+        };
+    }
+
+    /**
+     * Compute the delay before the next attempt
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @param {string|null} retryAfter - Retry-After header (seconds or HTTP date)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt, retryAfter = null) {
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+            if (!isNaN(delay) && delay >= 0) {
+                return Math.min(delay, this.maxRetryDelayMs);
+            }
+        }
+
+        // Exponential backoff with jitter
+        const backoff = this.retryBaseMs * Math.pow(2, attempt);
+        const jitter = Math.random() * this.retryBaseMs;
+        return Math.min(backoff + jitter, this.maxRetryDelayMs);
+    }
+
+    /**
+     * Wait until the host's rate limit allows another request
+     * @param {string} url - Request URL
+     */
+    async waitForRateLimit(url) {
+        let host;
+        try {
+            host = new URL(url).host;
+        } catch (error) {
+            return;
+        }
+
+        const requestsPerSecond = this.hostRateLimits[host] || this.defaultRateLimit;
+        if (!requestsPerSecond) {
+            return;
+        }
+
+        const now = Date.now();
+        const nextAt = this.hostNextRequestAt.get(host) || now;
+        const waitMs = Math.max(0, nextAt - now);
+
+        this.hostNextRequestAt.set(host, Math.max(now, nextAt) + 1000 / requestsPerSecond);
+
+        if (waitMs > 0) {
+            logger.debug(`HTTP rate limit for ${host}: waiting ${waitMs}ms`);
+            await this.sleep(waitMs);
+        }
+    }
+
+    /**
+     * Parse HTTP_HOST_RATE_LIMITS (JSON object of host → requests per second)
+     * @param {string|Object} value - Setting value
+     * @param {Function} report - Receives each problem with the setting (by default logged as ignored)
+     * @returns {Object} Host rate limits
+     */
+    parseHostRateLimits(value, report = problem => logger.warn(`Ignoring ${problem}`)) {
+        if (!value) return {};
+
+        let limits = value;
+        if (typeof value === 'string') {
+            try {
+                limits = JSON.parse(value);
+            } catch (error) {
+                report(`invalid HTTP_HOST_RATE_LIMITS: ${error.message}`);
+                return {};
+            }
+        }
+
+        if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+            report('HTTP_HOST_RATE_LIMITS: expected a JSON object of host to requests per second');
+            return {};
+        }
+
+        const valid = {};
+        for (const [host, requestsPerSecond] of Object.entries(limits)) {
+            if (typeof requestsPerSecond !== 'number' || !(requestsPerSecond > 0)) {
+                report(`HTTP_HOST_RATE_LIMITS entry "${host}": expected a positive number of requests per second`);
+                continue;
+            }
+            valid[host] = requestsPerSecond;
+        }
+        return valid;
+    }
+
+    /**
+     * Sleep for the given duration
+     * @param {number} ms - Milliseconds
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Create default client instance (configured from the loaded config in runFeedConverter)
+const httpClient = new HttpClient();
+
+module.exports = httpClient;
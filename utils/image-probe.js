@@ -0,0 +1,339 @@
+const logger = require('./logger');
+const httpClient = require('./http');
+const MSNConverter = require('./msn-converter');
+const { maskSensitiveData } = require('./sensitive-data');
+
+// Enough for PNG/GIF/WebP/BMP headers and for JPEG/AVIF files with large EXIF or metadata blocks
+const RANGE_BYTES = 65536;
+const MAX_BYTES = 262144;
+
+/**
+ * Header parsers by format. detect() looks at the first bytes; parse() returns
+ * { width, height }, or null when more of the file is needed.
+ */
+const IMAGE_FORMATS = [
+    {
+        type: 'image/png',
+        detect: buffer => buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a,
+        // IHDR is always the first chunk
+        parse: buffer => buffer.length >= 24 ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : null
+    },
+    {
+        type: 'image/gif',
+        detect: buffer => buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6)),
+        parse: buffer => buffer.length >= 10 ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) } : null
+    },
+    {
+        type: 'image/webp',
+        detect: buffer => buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP',
+        parse: parseWebp
+    },
+    {
+        type: 'image/jpeg',
+        detect: buffer => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+        parse: parseJpeg
+    },
+    {
+        type: 'image/avif',
+        detect: buffer => buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp' && /^avi[fs]$/.test(buffer.toString('latin1', 8, 12)),
+        parse: parseAvif
+    },
+    {
+        type: 'image/bmp',
+        detect: buffer => buffer.length >= 2 && buffer.toString('latin1', 0, 2) === 'BM',
+        // Height is negative for top-down bitmaps
+        parse: buffer => buffer.length >= 26 ? { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) } : null
+    }
+];
+
+// Longest signature detect() needs; past this an unrecognised file is not an image we can read
+const SIGNATURE_BYTES = 12;
+
+/**
+ * Parse a WebP header (lossy VP8, lossless VP8L or extended VP8X)
+ * @param {Buffer} buffer - Start of the file
+ * @returns {Object|null} { width, height } or null if more bytes are needed
+ */
+function parseWebp(buffer) {
+    if (buffer.length < 30) return null;
+
+    const chunk = buffer.toString('latin1', 12, 16);
+
+    if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+
+    if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+
+    return { width: 0, height: 0 };
+}
+
+/**
+ * Parse a JPEG header by walking the markers up to the first start-of-frame
+ * @param {Buffer} buffer - Start of the file
+ * @returns {Object|null} { width, height } or null if more bytes are needed
+ */
+function parseJpeg(buffer) {
+    let offset = 2;
+
+    while (offset + 9 <= buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            return { width: 0, height: 0 };
+        }
+
+        const marker = buffer[offset + 1];
+
+        // Fill bytes and markers without a length
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+            offset += 2;
+            continue;
+        }
+
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+
+    return null;
+}
+
+/**
+ * Parse an AVIF header (the first image spatial extents property)
+ * @param {Buffer} buffer - Start of the file
+ * @returns {Object|null} { width, height } or null if more bytes are needed
+ */
+function parseAvif(buffer) {
+    const offset = buffer.indexOf('ispe', 0, 'latin1');
+    if (offset === -1 || offset + 16 > buffer.length) return null;
+
+    return { width: buffer.readUInt32BE(offset + 8), height: buffer.readUInt32BE(offset + 12) };
+}
+
+/**
+ * Read an image's format and pixel dimensions from the start of the file
+ * @param {Buffer} buffer - Start of the file
+ * @returns {Object|null} { type, width, height }, { incomplete: true } if more bytes are needed, or null if unrecognised
+ */
+function readImageHeader(buffer) {
+    const format = IMAGE_FORMATS.find(candidate => candidate.detect(buffer));
+
+    if (!format) {
+        return buffer.length < SIGNATURE_BYTES ? { incomplete: true } : null;
+    }
+
+    const size = format.parse(buffer);
+    if (!size) {
+        return { incomplete: true };
+    }
+
+    return size.width > 0 && size.height > 0 ? { type: format.type, ...size } : null;
+}
+
+/**
+ * Image header inspection
+ * Fetches just enough of each image to read its format and dimensions, caching results per URL
+ * in memory for the run and in the image_metadata table across runs.
+ */
+class ImageProbe {
+    constructor(options = {}) {
+        this.cacheStore = null;
+        this.results = new Map();
+        this.stats = { probed: 0, cached: 0, failed: 0 };
+        this.configure(options);
+    }
+
+    /**
+     * Apply settings from a configuration object
+     * @param {Object} config - Configuration object (IMAGE_* settings)
+     */
+    configure(config = {}) {
+        this.enabled = config.IMAGE_PROBE_ENABLED !== 'false' && config.IMAGE_PROBE_ENABLED !== false;
+        this.minWidth = parseInt(config.IMAGE_MIN_WIDTH) || 0;
+        this.minHeight = parseInt(config.IMAGE_MIN_HEIGHT) || 0;
+    }
+
+    /**
+     * Set the store used to persist probe results per URL
+     * @param {Object|null} store - Object with getImageMetadata(url) and saveImageMetadata(url, metadata)
+     */
+    useCache(store) {
+        this.cacheStore = store;
+        this.results.clear();
+        this.stats = { probed: 0, cached: 0, failed: 0 };
+    }
+
+    /**
+     * Get an image's format and dimensions
+     * @param {string} url - Absolute image URL
+     * @returns {Promise<Object|null>} { type, width, height } or null if the image couldn't be read
+     */
+    async probe(url) {
+        if (!url || !/^https?:\/\//i.test(url)) {
+            return null;
+        }
+
+        if (!this.results.has(url)) {
+            // Share the lookup between concurrent callers for the same URL
+            this.results.set(url, this.lookup(url));
+        }
+
+        return this.results.get(url);
+    }
+
+    /**
+     * Look an image up in the store, fetching and storing its header if it isn't there
+     * @param {string} url - Absolute image URL
+     * @returns {Promise<Object|null>} { type, width, height } or null
+     */
+    async lookup(url) {
+        if (this.cacheStore) {
+            try {
+                const stored = await this.cacheStore.getImageMetadata(url);
+                if (stored) {
+                    this.stats.cached++;
+                    return stored;
+                }
+            } catch (error) {
+                logger.warn(`Image metadata lookup failed, probing ${maskSensitiveData(url)}: ${error.message}`);
+            }
+        }
+
+        let metadata;
+        try {
+            metadata = await this.fetchHeader(url);
+        } catch (error) {
+            this.stats.failed++;
+            logger.warn(`Image probe failed for ${maskSensitiveData(url)}: ${error.message}`);
+            return null;
+        }
+
+        this.stats.probed++;
+
+        if (this.cacheStore) {
+            try {
+                await this.cacheStore.saveImageMetadata(url, metadata);
+            } catch (error) {
+                logger.warn(`Failed to store image metadata for ${maskSensitiveData(url)}: ${error.message}`);
+            }
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Fetch the start of an image and read its header
+     * Asks for a byte range; servers that ignore it are read only until the header is found.
+     * @param {string} url - Absolute image URL
+     * @returns {Promise<Object>} { type, width, height }
+     */
+    async fetchHeader(url) {
+        const response = await httpClient.request(url, {
+            headers: { Range: `bytes=0-${RANGE_BYTES - 1}` }
+        });
+
+        if (!response.ok) {
+            if (response.body) {
+                await response.body.cancel().catch(() => {});
+            }
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        let buffer = Buffer.alloc(0);
+        let header = { incomplete: true };
+
+        try {
+            while (header && header.incomplete && buffer.length < MAX_BYTES) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer = Buffer.concat([buffer, Buffer.from(value)]);
+                header = readImageHeader(buffer);
+            }
+        } finally {
+            await reader.cancel().catch(() => {});
+        }
+
+        if (!header) {
+            throw new Error(`unrecognised image format (${response.headers.get('content-type') || 'no content type'})`);
+        }
+        if (header.incomplete) {
+            throw new Error(`no dimensions in the first ${buffer.length} bytes`);
+        }
+
+        return header;
+    }
+
+    /**
+     * Probe a post's lead image and slide images, recording the results on the post
+     * Sets post.leadImage ({ url, type, width, height }) and type/width/height on each image.
+     * @param {Object} post - Normalized post (modified in place)
+     * @returns {Promise<Object>} The same post
+     */
+    async annotatePost(post) {
+        if (!this.enabled) {
+            return post;
+        }
+
+        const leadUrl = MSNConverter.getThumbnailUrl(post);
+        const lead = await this.probe(leadUrl);
+        if (lead) {
+            post.leadImage = { url: leadUrl, ...lead };
+        }
+
+        for (const image of post.images || []) {
+            const metadata = await this.probe(image.url);
+            if (metadata) {
+                Object.assign(image, metadata);
+            }
+        }
+
+        return post;
+    }
+
+    /**
+     * Check a post's lead image against IMAGE_MIN_WIDTH / IMAGE_MIN_HEIGHT
+     * Images that couldn't be probed aren't rejected here.
+     * @param {Object} post - Post annotated by annotatePost
+     * @returns {string|null} Skip reason or null if the lead image is large enough
+     */
+    checkLeadImage(post) {
+        const lead = post.leadImage;
+        if (!lead || (!this.minWidth && !this.minHeight)) {
+            return null;
+        }
+
+        if (lead.width < this.minWidth || lead.height < this.minHeight) {
+            return `image too small: ${lead.width}x${lead.height} (minimum ${this.minWidth}x${this.minHeight})`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Probe statistics for the current run
+     * @returns {Object} { probed, cached, failed }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+// Create default instance (configured from the loaded config in runFeedConverter)
+const imageProbe = new ImageProbe();
+
+module.exports = imageProbe;
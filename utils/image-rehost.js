@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const httpClient = require('./http');
+const MSNConverter = require('./msn-converter');
+const { uploadToS3, saveToFile } = require('./aws');
+const { maskSensitiveData } = require('./sensitive-data');
+
+/**
+ * Output formats: MIME type, file extension and sharp options
+ */
+const OUTPUT_FORMATS = {
+    jpeg: { type: 'image/jpeg', extension: 'jpg', options: quality => ({ quality, mozjpeg: true }) },
+    png: { type: 'image/png', extension: 'png', options: () => ({ compressionLevel: 9 }) },
+    webp: { type: 'image/webp', extension: 'webp', options: quality => ({ quality }) }
+};
+
+// Re-hosted files are named by their content, so they never change once uploaded
+const IMAGE_CACHE_CONTROL = 'max-age=31536000, immutable';
+
+// Largest source image downloaded (IMAGE_REHOST_MAX_BYTES); bigger files keep their source URL
+const DEFAULT_MAX_BYTES = 20971520;
+
+/**
+ * Image re-hosting
+ * Downloads thumbnails and slide images, resizes them to fit MSN's preferred size and format,
+ * and stores them under images/ next to the feed (S3 or the local feed/ folder). Files are named
+ * by the SHA256 of their content, so the same image is only stored once across sources and runs.
+ */
+class ImageRehost {
+    constructor(options = {}) {
+        this.cacheStore = null;
+        this.results = new Map();
+        this.uploaded = new Map();
+        this.stats = { uploaded: 0, reused: 0, failed: 0 };
+        this.configure(options);
+    }
+
+    /**
+     * Apply settings from a configuration object
+     * @param {Object} config - Configuration object (IMAGE_REHOST_* and storage settings)
+     */
+    configure(config = {}) {
+        this.enabled = config.IMAGE_REHOST_ENABLED === 'true' || config.IMAGE_REHOST_ENABLED === true;
+        this.maxWidth = parseInt(config.IMAGE_REHOST_MAX_WIDTH) || 1920;
+        this.maxHeight = parseInt(config.IMAGE_REHOST_MAX_HEIGHT) || 1080;
+        this.format = OUTPUT_FORMATS[config.IMAGE_REHOST_FORMAT] ? config.IMAGE_REHOST_FORMAT : 'jpeg';
+        this.quality = parseInt(config.IMAGE_REHOST_QUALITY) || 85;
+        this.maxBytes = parseInt(config.IMAGE_REHOST_MAX_BYTES) || DEFAULT_MAX_BYTES;
+        this.baseUrl = (config.IMAGE_REHOST_BASE_URL || '').replace(/\/+$/, '');
+        this.storage = config.STORAGE;
+        this.bucketName = config.S3_BUCKET_NAME;
+        this.region = config.AWS_REGION;
+        this.folderName = config.S3_FOLDER_NAME;
+    }
+
+    /**
+     * Set the store used to remember re-hosted copies per source URL
+     * @param {Object|null} store - Object with getHostedImage, findHostedImageByContent and saveHostedImage
+     */
+    useCache(store) {
+        this.cacheStore = store;
+        this.results.clear();
+        this.uploaded.clear();
+        this.stats = { uploaded: 0, reused: 0, failed: 0 };
+    }
+
+    /**
+     * Resize settings, stored with each copy so changing them re-hosts every image
+     * @returns {string} Variant name (e.g. 1920x1080-jpeg-85)
+     */
+    getVariant() {
+        return `${this.maxWidth}x${this.maxHeight}-${this.format}-${this.quality}`;
+    }
+
+    /**
+     * Re-host a post's lead image, slide images and video thumbnail, rewriting their URLs
+     * Images that can't be re-hosted keep their source URL.
+     * @param {Object} post - Normalized post (modified in place)
+     * @returns {Promise<Object>} The same post
+     */
+    async rehostPost(post) {
+        if (!this.enabled) {
+            return post;
+        }
+
+        const leadUrl = MSNConverter.getThumbnailUrl(post);
+        const lead = await this.rehost(leadUrl);
+        if (lead) {
+            // Both can hold the lead image (URL string or an object with a url); keep whichever shape each has
+            ['thumbnail', 'featuredImage'].forEach(field => {
+                if (post[field] && typeof post[field] == 'object') {
+                    post[field] = { ...post[field], url: lead.url };
+                } else {
+                    post[field] = lead.url;
+                }
+            });
+            post.leadImage = { url: lead.url, type: lead.type, width: lead.width, height: lead.height };
+        }
+
+        for (const image of post.images || []) {
+            const hosted = await this.rehost(image.url);
+            if (hosted) {
+                Object.assign(image, { url: hosted.url, type: hosted.type, width: hosted.width, height: hosted.height });
+            }
+        }
+
+        if (post.video && post.video.thumbnail) {
+            const hosted = await this.rehost(post.video.thumbnail);
+            if (hosted) {
+                post.video = { ...post.video, thumbnail: hosted.url };
+            }
+        }
+
+        return post;
+    }
+
+    /**
+     * Re-host one image
+     * @param {string} url - Absolute source image URL
+     * @returns {Promise<Object|null>} { url, contentHash, type, width, height } or null if it couldn't be re-hosted
+     */
+    async rehost(url) {
+        if (!url || !/^https?:\/\//i.test(url)) {
+            return null;
+        }
+
+        // Already one of ours (an item re-hosted on an earlier run)
+        if (this.baseUrl && url.startsWith(`${this.baseUrl}/`)) {
+            return null;
+        }
+
+        if (!this.results.has(url)) {
+            this.results.set(url, this.lookup(url));
+        }
+
+        return this.results.get(url);
+    }
+
+    /**
+     * Find a stored copy of an image, creating one if there isn't one for the current settings
+     * @param {string} url - Absolute source image URL
+     * @returns {Promise<Object|null>} Hosted image or null
+     */
+    async lookup(url) {
+        const variant = this.getVariant();
+
+        if (this.cacheStore) {
+            try {
+                const stored = await this.cacheStore.getHostedImage(url, variant);
+                if (stored) {
+                    this.stats.reused++;
+                    return stored;
+                }
+            } catch (error) {
+                logger.warn(`Hosted image lookup failed, re-hosting ${maskSensitiveData(url)}: ${error.message}`);
+            }
+        }
+
+        let hosted;
+        try {
+            hosted = await this.createCopy(url);
+        } catch (error) {
+            this.stats.failed++;
+            logger.warn(`Image re-hosting failed for ${maskSensitiveData(url)}, keeping the source URL: ${error.message}`);
+            return null;
+        }
+
+        if (this.cacheStore) {
+            try {
+                await this.cacheStore.saveHostedImage(url, variant, hosted);
+            } catch (error) {
+                logger.warn(`Failed to record hosted image for ${maskSensitiveData(url)}: ${error.message}`);
+            }
+        }
+
+        return hosted;
+    }
+
+    /**
+     * Download, resize and store an image, unless a file with the same content is already stored
+     * @param {string} url - Absolute source image URL
+     * @returns {Promise<Object>} { url, contentHash, type, width, height }
+     */
+    async createCopy(url) {
+        const response = await httpClient.request(url);
+        if (!response.ok) {
+            if (response.body) {
+                await response.body.cancel().catch(() => {});
+            }
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const source = await this.readBody(response);
+        const { data, info } = await this.resize(source);
+        const contentHash = crypto.createHash('sha256').update(data).digest('hex');
+
+        if (this.uploaded.has(contentHash)) {
+            this.stats.reused++;
+            return this.uploaded.get(contentHash);
+        }
+
+        let hosted = null;
+        if (this.cacheStore) {
+            try {
+                hosted = await this.cacheStore.findHostedImageByContent(contentHash);
+            } catch (error) {
+                logger.warn(`Hosted image lookup by content failed: ${error.message}`);
+            }
+        }
+
+        if (hosted) {
+            this.stats.reused++;
+        } else {
+            const format = OUTPUT_FORMATS[this.format];
+            hosted = {
+                url: await this.store(`${contentHash}.${format.extension}`, data, format.type),
+                contentHash: contentHash,
+                type: format.type,
+                width: info.width,
+                height: info.height
+            };
+            this.stats.uploaded++;
+        }
+
+        this.uploaded.set(contentHash, hosted);
+        return hosted;
+    }
+
+    /**
+     * Read a response body, giving up once it passes IMAGE_REHOST_MAX_BYTES
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Buffer>} Body
+     */
+    async readBody(response) {
+        const declared = parseInt(response.headers.get('content-length'));
+        if (declared > this.maxBytes) {
+            await response.body.cancel().catch(() => {});
+            throw new Error(`image is ${declared} bytes (maximum ${this.maxBytes})`);
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let length = 0;
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                length += value.length;
+                if (length > this.maxBytes) {
+                    throw new Error(`image is over ${this.maxBytes} bytes`);
+                }
+                chunks.push(Buffer.from(value));
+            }
+        } finally {
+            await reader.cancel().catch(() => {});
+        }
+
+        return Buffer.concat(chunks, length);
+    }
+
+    /**
+     * Resize an image to fit the configured box (never enlarging) and convert it to the output format
+     * @param {Buffer} source - Source image
+     * @returns {Promise<Object>} { data, info } from sharp
+     */
+    async resize(source) {
+        // Loaded here so sources that don't re-host images never load the native module
+        const sharp = require('sharp');
+        const format = OUTPUT_FORMATS[this.format];
+        let pipeline = sharp(source)
+            .rotate() // Apply the EXIF orientation before it is stripped
+            .resize({ width: this.maxWidth, height: this.maxHeight, fit: 'inside', withoutEnlargement: true });
+
+        // JPEG has no transparency; flatten onto white rather than black
+        if (this.format === 'jpeg') {
+            pipeline = pipeline.flatten({ background: '#ffffff' });
+        }
+
+        return pipeline
+            .toFormat(this.format, format.options(this.quality))
+            .toBuffer({ resolveWithObject: true });
+    }
+
+    /**
+     * Store a re-hosted file under images/ and return its public URL
+     * @param {string} fileName - File name (content hash and extension)
+     * @param {Buffer} data - File content
+     * @param {string} contentType - MIME type
+     * @returns {Promise<string>} Public URL
+     */
+    async store(fileName, data, contentType) {
+        const key = `images/${fileName}`;
+
+        if (this.storage === 'file') {
+            await saveToFile(key, data);
+            return `${this.baseUrl}/${key}`;
+        }
+
+        const result = await uploadToS3(this.bucketName, key, data, this.region, this.folderName, {
+            contentType: contentType,
+            cacheControl: IMAGE_CACHE_CONTROL
+        });
+
+        if (this.baseUrl) {
+            return this.folderName ? `${this.baseUrl}/${this.folderName}/${key}` : `${this.baseUrl}/${key}`;
+        }
+        return result.Location;
+    }
+
+    /**
+     * Re-hosting statistics for the current run
+     * @returns {Object} { uploaded, reused, failed }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+// Create default instance (configured from the loaded config in runFeedConverter)
+const imageRehost = new ImageRehost();
+
+module.exports = imageRehost;
@@ -1,4 +1,30 @@
 const cheerio = require('cheerio');
+const { element, cdata, toXml, escapeAttribute } = require('./xml-writer');
+const logger = require('./logger');
+
+/**
+ * Namespaces declared on the <rss> element
+ */
+const FEED_NAMESPACES = {
+    'xmlns:atom': 'http://www.w3.org/2005/Atom',
+    'xmlns:media': 'http://search.yahoo.com/mrss/',
+    'xmlns:mi': 'http://schemas.ingestion.microsoft.com/common/',
+    'xmlns:dc': 'http://purl.org/dc/elements/1.1/',
+    'xmlns:content': 'http://purl.org/rss/1.0/modules/content/',
+    'xmlns:dcterms': 'http://purl.org/dc/terms/'
+};
+
+/**
+ * Optional MSN metadata, switched on per source with MSN_METADATA_FIELDS (none by default). Each is only written when it has a value:
+ *
+ *   modified          - dcterms:modified, from the item's modified date (item_modified_at)
+ *   dateTimeWritten   - mi:dateTimeWritten, from the item's publication date
+ *   syndicationRights - mi:hasSyndicationRights, from MSN_HAS_SYNDICATION_RIGHTS
+ *   licenseId         - mi:licenseId, from MSN_LICENSE_ID
+ *   valid             - dcterms:valid, publication date plus MSN_CONTENT_VALID_DAYS
+ *   selfLink          - channel atom:link rel="self", from FEED_PUBLIC_URL
+ */
+const METADATA_FIELDS = ['modified', 'dateTimeWritten', 'syndicationRights', 'licenseId', 'valid', 'selfLink'];
 
 /**
  * MSN Feed Converter Utility
@@ -17,105 +43,240 @@ class MSNConverter {
         const siteDescription = config.siteDescription || 'Content converted to MSN format';
         const language = config.language || 'en-us';
         const copyright = config.copyright || '';
+        const metadata = config.metadata || {};
         
         const pubDate = new Date().toUTCString().replace('GMT', '+0000');
         
-        const xml = `<?xml version="1.0" encoding="utf-8"?>
-<rss xmlns:atom="http://www.w3.org/2005/Atom"
-    xmlns:media="http://search.yahoo.com/mrss/"
-    xmlns:mi="http://schemas.ingestion.microsoft.com/common/"
-    xmlns:dc="http://purl.org/dc/elements/1.1/"
-    xmlns:content="http://purl.org/rss/1.0/modules/content/"
-    xmlns:dcterms="http://purl.org/dc/terms/"
-    version="2.0">
-
-    <channel>
-        <title>${siteName}</title>
-        <link>${baseUrl}</link>
-        <description><![CDATA[${siteDescription}]]></description>
-        <language>${language}</language>
-        <pubDate>${pubDate}</pubDate>
-        ${copyright ? `<copyright>${copyright}</copyright>` : ''}
-        
-        ${posts.map(post => this.generatePostXML(post)).join('\n        ')}
-    </channel>
-
-</rss>`;
+        const rss = element('rss', { ...FEED_NAMESPACES, version: '2.0' },
+            element('channel', {},
+                element('title', {}, siteName),
+                element('link', {}, baseUrl),
+                this.hasMetadata(metadata, 'selfLink') && metadata.selfUrl
+                    ? element('atom:link', { href: metadata.selfUrl, rel: 'self', type: 'application/rss+xml' })
+                    : null,
+                element('description', {}, cdata(siteDescription)),
+                element('language', {}, language),
+                element('pubDate', {}, pubDate),
+                copyright ? element('copyright', {}, copyright) : null,
+                posts.map(post => this.buildItem(post, metadata))
+            )
+        );
         
-        return xml;
+        return toXml(rss);
     }
     
+    /**
+     * Read the MSN metadata settings for a source
+     * @param {Object} config - Configuration object (MSN_METADATA_FIELDS, MSN_HAS_SYNDICATION_RIGHTS, MSN_LICENSE_ID,
+     *                          MSN_CONTENT_VALID_DAYS, FEED_PUBLIC_URL)
+     * @returns {Object} { fields, hasSyndicationRights, licenseId, validDays, selfUrl } for convertToMSN's config.metadata
+     */
+    static getMetadataOptions(config = {}) {
+        // Opt-in: existing feeds only change when a source lists the fields it wants
+        let fields = [];
+        if (config.MSN_METADATA_FIELDS !== undefined && config.MSN_METADATA_FIELDS !== null) {
+            const list = Array.isArray(config.MSN_METADATA_FIELDS) ? config.MSN_METADATA_FIELDS : String(config.MSN_METADATA_FIELDS).split(',');
+            fields = list.map(name => String(name).trim()).filter(name => {
+                if (!name) return false;
+                if (!METADATA_FIELDS.includes(name)) {
+                    logger.warn(`Ignoring MSN_METADATA_FIELDS entry "${name}" (expected ${METADATA_FIELDS.join(', ')})`);
+                    return false;
+                }
+                return true;
+            });
+        }
+
+        return {
+            fields: fields,
+            hasSyndicationRights: config.MSN_HAS_SYNDICATION_RIGHTS === undefined || config.MSN_HAS_SYNDICATION_RIGHTS === null
+                ? null
+                : config.MSN_HAS_SYNDICATION_RIGHTS === true || config.MSN_HAS_SYNDICATION_RIGHTS === 'true',
+            licenseId: config.MSN_LICENSE_ID || null,
+            validDays: parseInt(config.MSN_CONTENT_VALID_DAYS) || 0,
+            selfUrl: config.FEED_PUBLIC_URL || null
+        };
+    }
+
+    /**
+     * Check whether a metadata field is switched on
+     * @param {Object} metadata - Result of getMetadataOptions
+     * @param {string} field - Field name (see METADATA_FIELDS)
+     * @returns {boolean} True if the field should be written
+     */
+    static hasMetadata(metadata, field) {
+        return Boolean(metadata.fields && metadata.fields.includes(field));
+    }
+
+    /**
+     * Format a date as W3C-DTF (ISO 8601 in UTC, whole seconds)
+     * @param {string|Date} value - Date
+     * @returns {string|null} e.g. 2026-01-02T03:04:05Z, or null if the date is missing or invalid
+     */
+    static toW3cDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    /**
+     * Build the optional MSN metadata elements for an item
+     * @param {Object} post - Normalized post object (pubDate, modified)
+     * @param {Object} metadata - Result of getMetadataOptions
+     * @returns {Array<Object>} Elements, in feed order
+     */
+    static buildItemMetadata(post, metadata) {
+        const written = this.toW3cDate(post.pubDate);
+        const modified = this.toW3cDate(post.modified);
+        const validUntil = written && metadata.validDays > 0
+            ? this.toW3cDate(new Date(post.pubDate).getTime() + metadata.validDays * 24 * 60 * 60 * 1000)
+            : null;
+
+        return [
+            this.hasMetadata(metadata, 'dateTimeWritten') && written ? element('mi:dateTimeWritten', {}, written) : null,
+            this.hasMetadata(metadata, 'modified') && modified ? element('dcterms:modified', {}, modified) : null,
+            this.hasMetadata(metadata, 'valid') && validUntil ? element('dcterms:valid', {}, `end=${validUntil}; scheme=W3C-DTF`) : null,
+            this.hasMetadata(metadata, 'syndicationRights') && metadata.hasSyndicationRights !== null
+                ? element('mi:hasSyndicationRights', {}, metadata.hasSyndicationRights ? 1 : 0)
+                : null,
+            this.hasMetadata(metadata, 'licenseId') && metadata.licenseId ? element('mi:licenseId', {}, metadata.licenseId) : null
+        ];
+    }
+
     /**
      * Generate XML for a single post
      * @param {Object} post - Normalized post object
-     * @returns {string} Post XML
+     * @param {Object} metadata - Optional MSN metadata settings (see getMetadataOptions)
+     * @returns {string} Post XML (an <item> fragment)
      */
-    static generatePostXML(post) {
+    static generatePostXML(post, metadata = {}) {
+        return toXml(this.buildItem(post, metadata), { declaration: false });
+    }
+
+    /**
+     * Build the <item> element for a single post
+     * @param {Object} post - Normalized post object
+     * @param {Object} metadata - Optional MSN metadata settings (see getMetadataOptions)
+     * @returns {Object} Item element (see utils/xml-writer.js)
+     */
+    static buildItem(post, metadata = {}) {
         const pubDate = new Date(post.pubDate).toUTCString().replace('GMT', '+0000');
         const isSlideShow = post.isSlideShow || false;
+        const isVideo = Boolean(post.video && post.video.url);
+
+        const thumbnail = this.getThumbnailUrl(post);
+        // Type and dimensions probed from the image header (see utils/image-probe.js)
+        const leadImage = post.leadImage && post.leadImage.url === thumbnail ? post.leadImage : {};
 
-        let thumbnail = post.featuredImage;
-        if (typeof post.featuredImage == 'object' && typeof post.thumbnail == 'object') {
-            thumbnail = post.featuredImage.url || post.thumbnail.url;
+        let media = null;
+        if (isVideo) {
+            media = this.buildVideoContent(post, thumbnail);
+        } else if (thumbnail) {
+            media = element('media:content', { url: thumbnail, ...this.imageAttributes(leadImage), medium: 'image' },
+                element('media:text', {}, cdata(post.title))
+            );
         }
 
-        // console.log(post.guid, thumbnail);
-        
-        let msnPost = `<item>
-            <guid>${post.guid || post.link}</guid>
-            
-            <title><![CDATA[${post.title}]]></title>
-
-            ${post.shortTitle ? `<mi:shortTitle><![CDATA[${post.shortTitle}]]></mi:shortTitle>` : ''}
-
-            <pubDate>${pubDate}</pubDate>
-            <link>${post.link}</link>
-            
-            ${post.categories.map(cat => `<category><![CDATA[${cat}]]></category>`).join('\n            ')}
-
-            ${post.author ? `<dc:creator>${post.author}</dc:creator>` : ''}
-
-            ${isSlideShow ? `<description><![CDATA[${this.cleanDescription(post.description)}]]></description>` : `<description><![CDATA[${this.cleanDescription(post.description)}]]></description>`}
-
-            <media:content url="${thumbnail}" type="image/jpeg" medium="image">
-                <media:text><![CDATA[${post.title}]]></media:text>
-            </media:content>`;
-
-        if (!isSlideShow && post.content) {
-            msnPost += `<content:encoded><![CDATA[
-                <figure>
-                    <img src="${thumbnail}" alt="${post.title}" />
-                </figure>
-                
-                ${this.cleanHtml(post.content)}
-            ]]></content:encoded>`;
+        let body = null;
+        if (!isSlideShow && !isVideo && post.content) {
+            const figure = thumbnail
+                ? `<figure><img src="${escapeAttribute(thumbnail)}" alt="${escapeAttribute(post.title || '')}" /></figure>\n`
+                : '';
+            body = element('content:encoded', {}, cdata(figure + this.cleanHtml(post.content)));
         }
 
+        let slides = null;
         if (isSlideShow && post.images) {
-            msnPost += '<media:group>';
-
-            msnPost += `<media:content url="${thumbnail}" type="image/jpeg" medium="image">
-                <media:title><![CDATA[${post.title}]]></media:title>
-                ${post.description ? `<media:text><![CDATA[${post.description}]]></media:text>
-                <media:description><![CDATA[${post.description}]]></media:description>` : ''}
-            </media:content>`;
-
-            post.images.map((image, index) => {
-                msnPost += `<media:content url="${image.url}" type="image/jpeg" medium="image">
-                                <media:title><![CDATA[${image.title || post.title}]]></media:title>
-                                ${image.text ? `<media:description><![CDATA[${image.text}]]></media:description>` : ''}
-                                ${image.description ? `<media:text><![CDATA[${image.description}]]></media:text>` : ''}
-                                ${image.attribution || image.caption ? `<media:credit><![CDATA[${(image.attribution || '') + ' ' + (image.caption || '')}]]></media:credit>` : '<media:credit><![CDATA[Image Provided by Source]]></media:credit>'}
-                            </media:content>
-                `;
-            })
-
-            msnPost += '</media:group>';
+            slides = element('media:group', {},
+                thumbnail ? element('media:content', { url: thumbnail, ...this.imageAttributes(leadImage), medium: 'image' },
+                    element('media:title', {}, cdata(post.title)),
+                    post.description ? [
+                        element('media:text', {}, cdata(post.description)),
+                        element('media:description', {}, cdata(post.description))
+                    ] : null
+                ) : null,
+                post.images.map(image => this.buildSlide(image, post))
+            );
         }
 
-        msnPost += '</item>';
+        return element('item', {},
+            element('guid', {}, post.guid || post.link),
+            element('title', {}, cdata(post.title)),
+            post.shortTitle ? element('mi:shortTitle', {}, cdata(post.shortTitle)) : null,
+            element('pubDate', {}, pubDate),
+            this.buildItemMetadata(post, metadata),
+            element('link', {}, post.link),
+            (post.categories || []).map(category => element('category', {}, cdata(category))),
+            post.author ? element('dc:creator', {}, post.author) : null,
+            element('description', {}, cdata(this.cleanDescription(post.description))),
+            media,
+            body,
+            slides
+        );
+    }
+
+    /**
+     * Build the media:content element for one slideshow image
+     * @param {Object} image - Slide ({ url, title, text, description, attribution, caption })
+     * @param {Object} post - Normalized post (its title is used when the slide has none)
+     * @returns {Object} media:content element
+     */
+    static buildSlide(image, post) {
+        const credit = image.attribution || image.caption
+            ? `${image.attribution || ''} ${image.caption || ''}`.trim()
+            : 'Image Provided by Source';
+
+        return element('media:content', { url: image.url, ...this.imageAttributes(image), medium: 'image' },
+            element('media:title', {}, cdata(image.title || post.title)),
+            image.text ? element('media:description', {}, cdata(image.text)) : null,
+            image.description ? element('media:text', {}, cdata(image.description)) : null,
+            element('media:credit', {}, cdata(credit))
+        );
+    }
+    
+    /**
+     * Get the URL of a post's lead image (thumbnail)
+     * @param {Object} post - Normalized post object
+     * @returns {string|null} Image URL
+     */
+    static getThumbnailUrl(post) {
+        // typeof null is 'object' too, and drivers store null when a post has no image
+        if (post.featuredImage && typeof post.featuredImage == 'object') {
+            return post.featuredImage.url || (post.thumbnail && post.thumbnail.url);
+        }
+        return post.featuredImage;
+    }
+    
+    /**
+     * Build the type / width / height attributes for an image media:content
+     * @param {Object} image - Image with the probed { type, width, height } (if any)
+     * @returns {Object} Attributes (image/jpeg when the type is unknown)
+     */
+    static imageAttributes(image) {
+        const attributes = { type: image.type || 'image/jpeg' };
+        if (image.width && image.height) {
+            attributes.width = image.width;
+            attributes.height = image.height;
+        }
+        return attributes;
+    }
+    
+    /**
+     * Build the media:content element for a video item
+     * @param {Object} post - Normalized post with a video ({ url, type, duration, thumbnail, description, transcript })
+     * @param {string} thumbnail - Post thumbnail URL (used when the video has no poster)
+     * @returns {Object} Video media:content element
+     */
+    static buildVideoContent(post, thumbnail) {
+        const video = post.video;
+        const videoThumbnail = video.thumbnail || thumbnail;
+        const description = this.cleanDescription(video.description || post.description);
 
-        return msnPost;
+        return element('media:content', { url: video.url, type: video.type || 'video/mp4', medium: 'video', duration: video.duration || null },
+            element('media:title', {}, cdata(post.title)),
+            description ? element('media:description', {}, cdata(description)) : null,
+            videoThumbnail ? element('media:thumbnail', { url: videoThumbnail }) : null,
+            video.transcript ? element('media:text', { type: 'plain' }, cdata(video.transcript)) : null
+        );
     }
     
     /**
@@ -0,0 +1,337 @@
+const cheerio = require('cheerio');
+const logger = require('./logger');
+const { EMBED_ATTR, getEnabledProviders, convertEmbeds, count } = require('./embeds');
+const { absoluteUrl } = require('./url');
+
+/**
+ * Markup MSN accepts in content:encoded and slide descriptions: tag -> allowed attributes.
+ * Extend or override per source with MSN_ALLOWED_MARKUP (e.g. {"video": ["src", "poster"]}).
+ */
+const DEFAULT_ALLOWED_MARKUP = {
+    p: [], br: [], hr: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    strong: [], b: [], em: [], i: [], u: [], s: [], sub: [], sup: [], small: [], mark: [],
+    blockquote: ['cite'], cite: [], q: [], pre: [], code: [],
+    ul: [], ol: ['start'], li: [],
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    figure: [], figcaption: [],
+    table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [], th: ['colspan', 'rowspan', 'scope'], td: ['colspan', 'rowspan']
+};
+
+/**
+ * Tags removed together with their content; any other tag outside the allow-list is unwrapped
+ */
+const DROP_WITH_CONTENT = [
+    'script', 'style', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'form', 'input', 'button', 'select', 'textarea', 'option', 'label', 'fieldset',
+    'svg', 'canvas', 'template', 'link', 'meta', 'head', 'title', 'audio', 'video', 'source', 'track', 'map'
+];
+
+// Attributes holding URLs and the schemes allowed in them
+const URL_ATTRIBUTES = { a: 'href', img: 'src' };
+const ALLOWED_SCHEMES = { href: ['http:', 'https:', 'mailto:'], src: ['http:', 'https:'] };
+
+// Where lazy-loading plugins keep the real image URL
+const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-lazy'];
+const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset', 'srcset'];
+
+/**
+ * Build the allow-list for a source
+ * @param {Object} config - Configuration object (MSN_ALLOWED_MARKUP)
+ * @param {Function} report - Receives each problem with the setting (by default logged as ignored)
+ * @returns {Object} Allowed markup (tag -> attributes)
+ */
+function getAllowedMarkup(config = {}, report = problem => logger.warn(`Ignoring ${problem}`)) {
+    let overrides = config.MSN_ALLOWED_MARKUP || {};
+
+    if (typeof overrides === 'string') {
+        try {
+            overrides = JSON.parse(overrides);
+        } catch (error) {
+            report(`invalid MSN_ALLOWED_MARKUP: ${error.message}`);
+            overrides = {};
+        }
+    }
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        report('MSN_ALLOWED_MARKUP: expected a JSON object of tag to attributes');
+        overrides = {};
+    }
+
+    const allowed = { ...DEFAULT_ALLOWED_MARKUP };
+    for (const [tag, attributes] of Object.entries(overrides)) {
+        if (attributes === false || attributes === null) {
+            delete allowed[tag.toLowerCase()];
+        } else if (Array.isArray(attributes)) {
+            allowed[tag.toLowerCase()] = attributes.map(attribute => String(attribute).toLowerCase());
+        } else {
+            report(`MSN_ALLOWED_MARKUP entry "${tag}": expected a list of attributes or false`);
+        }
+    }
+
+    return allowed;
+}
+
+/**
+ * Check a source's MSN_ALLOWED_MARKUP without building the allow-list
+ * @param {Object} config - Configuration object (MSN_ALLOWED_MARKUP)
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+function checkAllowedMarkup(config = {}) {
+    const problems = [];
+    getAllowedMarkup(config, problem => problems.push(problem));
+    return problems;
+}
+
+/**
+ * Sanitize the HTML fields of a normalized post for MSN
+ * Converts embeds, sanitizes content and slide text, and makes image and video URLs absolute.
+ * @param {Object} post - Normalized post
+ * @param {Object} config - Configuration object (EXTERNAL_FEED_URL, MSN_ALLOWED_MARKUP, MSN_EMBED_PROVIDERS)
+ * @returns {Object} { post, report } - sanitized copy of the post and what was changed
+ */
+function sanitizePost(post, config = {}) {
+    const options = {
+        baseUrl: config.EXTERNAL_FEED_URL,
+        allowed: getAllowedMarkup(config),
+        providers: getEnabledProviders(config)
+    };
+    const report = createReport();
+
+    const sanitized = { ...post };
+
+    if (post.content) {
+        sanitized.content = sanitizeHtml(post.content, options, report);
+    }
+
+    if (Array.isArray(post.images)) {
+        sanitized.images = post.images.map(image => ({
+            ...image,
+            url: resolveRelativeUrl(image.url, options.baseUrl, report),
+            text: image.text ? sanitizeHtml(image.text, options, report) : image.text
+        }));
+    }
+
+    if (post.video && typeof post.video === 'object') {
+        sanitized.video = {
+            ...post.video,
+            url: resolveRelativeUrl(post.video.url, options.baseUrl, report),
+            thumbnail: resolveRelativeUrl(post.video.thumbnail, options.baseUrl, report)
+        };
+    }
+
+    ['thumbnail', 'featuredImage'].forEach(field => {
+        const image = post[field];
+        if (typeof image === 'string') {
+            sanitized[field] = resolveRelativeUrl(image, options.baseUrl, report);
+        } else if (image && typeof image === 'object' && image.url) {
+            sanitized[field] = { ...image, url: resolveRelativeUrl(image.url, options.baseUrl, report) };
+        }
+    });
+
+    return { post: sanitized, report: report };
+}
+
+/**
+ * Enforce the allow-list on an HTML fragment
+ * @param {string} html - HTML fragment
+ * @param {Object} options - { baseUrl, allowed, providers }
+ * @param {Object} report - Report to add removals to (see createReport)
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHtml(html, options = {}, report = createReport()) {
+    if (!html) return html;
+
+    const allowed = options.allowed || DEFAULT_ALLOWED_MARKUP;
+    const $ = cheerio.load(html, null, false);
+
+    // Comments can hide conditional markup; MSN has no use for them
+    $('*').contents().filter((index, node) => node.type === 'comment').remove();
+    $.root().contents().filter((index, node) => node.type === 'comment').remove();
+
+    // Social/video embeds become MSN embed markup, which is exempt from the allow-list
+    convertEmbeds($, options.providers || getEnabledProviders(), report.embeds);
+    const isEmbed = element => $(element).closest(`[${EMBED_ATTR}]`).length > 0;
+
+    // Lazy images first, while their data-* attributes are still there
+    $('img').each((index, element) => resolveLazyImage($(element), report));
+
+    // Only count the outermost dropped element; its children go with it
+    const dropSelector = DROP_WITH_CONTENT.filter(tag => !allowed[tag]).join(', ');
+    const $dropped = $(dropSelector).filter((index, element) => !isEmbed(element));
+    $dropped.each((index, element) => {
+        if ($(element).parents(dropSelector).length === 0) {
+            count(report.removedTags, element.tagName);
+        }
+    });
+    $dropped.remove();
+
+    // Deepest elements first, so unwrapping never detaches an element still to be visited
+    $('*').get().reverse().forEach(element => {
+        const $element = $(element);
+        const tag = element.tagName.toLowerCase();
+
+        if (isEmbed(element)) return;
+
+        if (!allowed[tag]) {
+            count(report.unwrappedTags, tag);
+            $element.replaceWith($element.contents());
+            return;
+        }
+
+        Object.keys(element.attribs || {}).forEach(attribute => {
+            if (!allowed[tag].includes(attribute.toLowerCase())) {
+                count(report.removedAttributes, attribute);
+                $element.removeAttr(attribute);
+            }
+        });
+
+        const urlAttribute = URL_ATTRIBUTES[tag];
+        if (urlAttribute && $element.attr(urlAttribute) !== undefined) {
+            const url = safeUrl($element.attr(urlAttribute), urlAttribute, options.baseUrl, report);
+            if (url) {
+                $element.attr(urlAttribute, url);
+            } else {
+                count(report.removedAttributes, urlAttribute);
+                $element.removeAttr(urlAttribute);
+            }
+        }
+
+        // Links without a usable target become plain text; images without a source are dropped
+        if (tag === 'a' && !$element.attr('href')) {
+            $element.replaceWith($element.contents());
+        } else if (tag === 'img' && !$element.attr('src')) {
+            count(report.removedTags, 'img');
+            $element.remove();
+        }
+    });
+
+    $(`[${EMBED_ATTR}]`).removeAttr(EMBED_ATTR);
+
+    return $.html();
+}
+
+/**
+ * Give a lazy-loaded image its real src
+ * @param {Object} $img - Image element
+ * @param {Object} report - Report to count fixes in
+ */
+function resolveLazyImage($img, report) {
+    const src = $img.attr('src');
+    const isPlaceholder = !src || src.startsWith('data:');
+
+    const lazySrc = LAZY_SRC_ATTRIBUTES.map(attribute => $img.attr(attribute)).find(Boolean);
+    const srcset = LAZY_SRCSET_ATTRIBUTES.map(attribute => $img.attr(attribute)).find(Boolean);
+
+    // Lazy-load plugins keep a placeholder in src; srcset only matters when there is no real src
+    const realSrc = lazySrc || (isPlaceholder ? largestSrcsetCandidate(srcset) : null);
+
+    if (realSrc && realSrc !== src) {
+        $img.attr('src', realSrc);
+        report.lazyImages++;
+    }
+}
+
+/**
+ * Pick the widest (or highest density) candidate from a srcset
+ * @param {string} srcset - srcset attribute value
+ * @returns {string|null} URL or null if the srcset is empty
+ */
+function largestSrcsetCandidate(srcset) {
+    if (!srcset) return null;
+
+    const candidates = srcset.split(',')
+        .map(candidate => candidate.trim().split(/\s+/))
+        .filter(([url]) => url)
+        .map(([url, descriptor = '1x']) => ({ url, size: parseFloat(descriptor) || 0 }));
+
+    if (candidates.length === 0) return null;
+
+    return candidates.sort((a, b) => b.size - a.size)[0].url;
+}
+
+/**
+ * Make a URL absolute and check its scheme
+ * @param {string} value - Attribute value
+ * @param {string} attribute - 'href' or 'src'
+ * @param {string} baseUrl - Base URL for relative values
+ * @param {Object} report - Report to count rewrites in
+ * @returns {string|null} Safe absolute URL, or null if it must be removed
+ */
+function safeUrl(value, attribute, baseUrl, report) {
+    const trimmed = (value || '').trim();
+    if (!trimmed) return null;
+
+    // In-page anchors have nothing to point at once syndicated
+    if (trimmed.startsWith('#')) return null;
+
+    const url = resolveRelativeUrl(trimmed, baseUrl, report);
+
+    try {
+        return ALLOWED_SCHEMES[attribute].includes(new URL(url).protocol) ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Resolve a possibly relative URL against the source site, counting each rewrite
+ * @param {string} url - URL or path
+ * @param {string} baseUrl - Base URL (EXTERNAL_FEED_URL)
+ * @param {Object} report - Report to count rewrites in
+ * @returns {string} Absolute URL (unchanged if it can't be resolved)
+ */
+function resolveRelativeUrl(url, baseUrl, report) {
+    if (!url || /^[a-z][a-z0-9+.-]*:/i.test(url)) return url;
+
+    const resolved = absoluteUrl(url, baseUrl);
+    if (resolved !== url) {
+        report.absoluteUrls++;
+    }
+    return resolved;
+}
+
+/**
+ * Create an empty sanitizer report
+ * @returns {Object} { embeds, removedTags, unwrappedTags, removedAttributes, lazyImages, absoluteUrls }
+ */
+function createReport() {
+    return {
+        embeds: {},
+        removedTags: {},
+        unwrappedTags: {},
+        removedAttributes: {},
+        lazyImages: 0,
+        absoluteUrls: 0
+    };
+}
+
+/**
+ * Summarize a report for logging
+ * @param {Object} report - Sanitizer report
+ * @returns {string} One-line summary (empty if nothing changed)
+ */
+function summarizeReport(report) {
+    const parts = [];
+    const list = counts => Object.entries(counts).map(([name, total]) => `${name}×${total}`).join(', ');
+
+    if (Object.keys(report.embeds).length > 0) parts.push(`embeds ${list(report.embeds)}`);
+    if (Object.keys(report.removedTags).length > 0) parts.push(`removed ${list(report.removedTags)}`);
+    if (Object.keys(report.unwrappedTags).length > 0) parts.push(`unwrapped ${list(report.unwrappedTags)}`);
+    if (Object.keys(report.removedAttributes).length > 0) parts.push(`stripped ${list(report.removedAttributes)}`);
+    if (report.lazyImages > 0) parts.push(`${report.lazyImages} lazy image(s) fixed`);
+    if (report.absoluteUrls > 0) parts.push(`${report.absoluteUrls} relative URL(s) made absolute`);
+
+    return parts.join('; ');
+}
+
+module.exports = {
+    DEFAULT_ALLOWED_MARKUP,
+    LAZY_SRC_ATTRIBUTES,
+    getAllowedMarkup,
+    checkAllowedMarkup,
+    sanitizePost,
+    sanitizeHtml,
+    summarizeReport
+};
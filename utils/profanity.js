@@ -1,3 +1,5 @@
+const httpClient = require('./http');
+
 /**
  * Download and parse the profanity list from the specified URL
  * @param {string} url - URL to the profanity list JSON
@@ -6,7 +8,11 @@
 async function getProfanityList(url) {
     try {
         console.log(`Downloading profanity list from: ${url}`);
-        const response = await fetch(url);
+        // The list rarely changes, so it is replayed from the HTTP cache when the server answers 304
+        const response = await httpClient.request(url, {
+            conditional: true,
+            storeBody: true
+        });
         
         if (!response.ok) {
             throw new Error(`Failed to download profanity list: HTTP ${response.status}`);
@@ -2,6 +2,19 @@
  * Utility functions for handling sensitive data in logs
  */
 
+// Query parameters carrying credentials besides the common names (a source's API_AUTH_QUERY_PARAM)
+const sensitiveQueryParams = new Set();
+
+/**
+ * Mask a query parameter's value from now on
+ * @param {string} name - Query parameter name
+ */
+function addSensitiveQueryParam(name) {
+    if (name) {
+        sensitiveQueryParams.add(name);
+    }
+}
+
 /**
  * Mask sensitive values in strings
  * @param {string} text - Text that might contain sensitive data
@@ -17,6 +30,18 @@ function maskSensitiveData(text) {
         // API tokens and keys
         { pattern: /Bearer\s+[A-Za-z0-9\s]+/gi, replacement: 'Bearer [MASKED]' },
         { pattern: /WP_API_TOKEN["\s]*[:=]["\s]*[^"\s,}]+/gi, replacement: 'WP_API_TOKEN: [MASKED]' },
+        { pattern: /GHOST_CONTENT_API_KEY["\s]*[:=]["\s]*[^"\s,}]+/gi, replacement: 'GHOST_CONTENT_API_KEY: [MASKED]' },
+        { pattern: /API_AUTH_TOKEN["\s]*[:=]["\s]*[^"\s,}]+/gi, replacement: 'API_AUTH_TOKEN: [MASKED]' },
+        // Basic credentials: always after an Authorization header, elsewhere only base64 that decodes to user:pass
+        { pattern: /(Authorization["\s]*[:=]["\s]*Basic\s+)[A-Za-z0-9+/=]+/gi, replacement: '$1[MASKED]' },
+        { pattern: /\bBasic\s+([A-Za-z0-9+/]{8,}={0,2})(?![A-Za-z0-9+/=])/gi, replacement: (match, value) => (isBasicCredential(value) ? 'Basic [MASKED]' : match) },
+        
+        // Query-string credentials (API_AUTH_TYPE=query, Ghost Content API keys)
+        { pattern: /([?&](?:key|api_key|apikey|token|access_token)=)[^&\s]+/gi, replacement: '$1[MASKED]' },
+        {
+            pattern: /([?&])([^=&\s]+)=[^&\s]+/g,
+            replacement: (match, separator, name) => (sensitiveQueryParams.has(safeDecode(name)) ? `${separator}${name}=[MASKED]` : match)
+        },
         { pattern: /DB_PASSWORD["\s]*[:=]["\s]*[^"\s,}]+/gi, replacement: 'DB_PASSWORD: [MASKED]' },
         { pattern: /password["\s]*[:=]["\s]*[^"\s,}]+/gi, replacement: 'password: [MASKED]' },
         
@@ -41,6 +66,33 @@ function maskSensitiveData(text) {
     return maskedText;
 }
 
+/**
+ * Decode a URI component, leaving malformed input as is
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Check whether a base64 value decodes to HTTP Basic user:pass credentials
+ * @param {string} value - Base64 value
+ * @returns {boolean} True if it looks like Basic credentials
+ */
+function isBasicCredential(value) {
+    if (value.length % 4 !== 0) {
+        return false;
+    }
+
+    const decoded = Buffer.from(value, 'base64').toString('latin1');
+    return /^[\x21-\x39\x3b-\x7e]+:[\x20-\x7e]+$/.test(decoded);
+}
+
 /**
  * Mask sensitive data in objects
  * @param {Object} obj - Object that might contain sensitive data
@@ -95,6 +147,7 @@ function safeLog(logFunction, ...args) {
 
 module.exports = {
     maskSensitiveData,
+    addSensitiveQueryParam,
     maskSensitiveObject,
     safeLog
 };
@@ -1,7 +1,5 @@
-const https = require('https');
-const http = require('http');
-const { URL } = require('url');
 const logger = require('./logger');
+const httpClient = require('./http');
 
 /**
  * Send a profanity alert to Slack
@@ -68,55 +66,31 @@ async function sendProfanityAlert(webhookUrl, { title, link, flaggedWords, sourc
  * @param {Object} payload - Slack message payload
  * @returns {Promise<void>}
  */
-function sendSlackMessage(webhookUrl, payload) {
-    return new Promise((resolve, reject) => {
-        try {
-            const url = new URL(webhookUrl);
-            const protocol = url.protocol === 'https:' ? https : http;
-            const postData = JSON.stringify(payload);
+async function sendSlackMessage(webhookUrl, payload) {
+    let response;
 
-            const options = {
-                hostname: url.hostname,
-                port: url.port,
-                path: url.pathname + url.search,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(postData)
-                }
-            };
-
-            const req = protocol.request(options, (res) => {
-                let responseData = '';
-
-                res.on('data', (chunk) => {
-                    responseData += chunk;
-                });
-
-                res.on('end', () => {
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        logger.info('Slack notification sent successfully');
-                        resolve();
-                    } else {
-                        logger.error(`Slack notification failed: ${res.statusCode} - ${responseData}`);
-                        reject(new Error(`Slack API returned ${res.statusCode}: ${responseData}`));
-                    }
-                });
-            });
+    try {
+        // Webhook posts are not idempotent, so only rate-limit (429) responses are retried
+        response = await httpClient.request(webhookUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+    } catch (error) {
+        logger.error('Error sending Slack notification:', error.message);
+        throw error;
+    }
 
-            req.on('error', (error) => {
-                logger.error('Error sending Slack notification:', error.message);
-                reject(error);
-            });
+    const responseData = await response.text();
 
-            req.write(postData);
-            req.end();
+    if (!response.ok) {
+        logger.error(`Slack notification failed: ${response.status} - ${responseData}`);
+        throw new Error(`Slack API returned ${response.status}: ${responseData}`);
+    }
 
-        } catch (error) {
-            logger.error('Error preparing Slack notification:', error.message);
-            reject(error);
-        }
-    });
+    logger.info('Slack notification sent successfully');
 }
 
 module.exports = {
@@ -0,0 +1,268 @@
+const cheerio = require('cheerio');
+const logger = require('./logger');
+const { checkSelector } = require('./html-cleanup');
+
+/**
+ * Slide extraction presets, selected per source with WP_SLIDESHOW_PRESET.
+ * Individual fields can be overridden with WP_SLIDESHOW_RULES.
+ *
+ * Fields:
+ *   slide     - selector for the element that starts each slide
+ *   image     - selector for the slide image (in the slide, or the first one in its body range)
+ *   title     - selector for the slide title
+ *   titleFrom - where the title is: next (first match after the slide), inside (in the slide) or self (the slide element)
+ *   body      - slide text: after-title, after-slide or none
+ *   bodyUntil - selector that ends a slide's body range (defaults to the slide selector)
+ *   credit    - selector for the image credit, looked up in the element holding the image
+ *   intro     - selector for the first element after the intro (defaults to the slide selector)
+ */
+const SLIDESHOW_PRESETS = {
+    // Image block followed by a heading and the slide text (the original layout)
+    'wp-block-image': {
+        slide: 'figure.wp-block-image',
+        image: 'img',
+        title: 'h2.wp-block-heading',
+        titleFrom: 'next',
+        body: 'after-title',
+        bodyUntil: null,
+        credit: '.wp-element-caption',
+        intro: 'figure.wp-block-image.size-large'
+    },
+
+    // Gallery block: one slide per image, the caption is the title
+    // (WordPress 5.x galleries are a list of li.blocks-gallery-item rather than nested image blocks)
+    'wp-block-gallery': {
+        slide: '.wp-block-gallery figure.wp-block-image, .wp-block-gallery li.blocks-gallery-item',
+        image: 'img',
+        title: 'figcaption',
+        titleFrom: 'inside',
+        body: 'none',
+        bodyUntil: null,
+        credit: null,
+        intro: '.wp-block-gallery'
+    },
+
+    // Classic editor [gallery] shortcode (HTML5 <figure> or legacy <dl> markup)
+    'shortcode-gallery': {
+        slide: '.gallery-item',
+        image: 'img',
+        title: '.gallery-caption',
+        titleFrom: 'inside',
+        body: 'none',
+        bodyUntil: null,
+        credit: null,
+        intro: '.gallery-item'
+    },
+
+    // Heading, then the image, then the slide text
+    'heading-first': {
+        slide: 'h2',
+        image: 'img',
+        title: null,
+        titleFrom: 'self',
+        body: 'after-slide',
+        bodyUntil: null,
+        credit: 'figcaption, .wp-element-caption, .wp-caption-text',
+        intro: 'h2'
+    }
+};
+
+const DEFAULT_PRESET = 'wp-block-image';
+const TITLE_SOURCES = ['next', 'inside', 'self'];
+const BODY_MODES = ['after-title', 'after-slide', 'none'];
+
+// Rule fields holding CSS selectors; the rest may be null
+const SELECTOR_FIELDS = ['slide', 'image', 'title', 'bodyUntil', 'credit', 'intro'];
+const REQUIRED_SELECTORS = ['slide', 'image'];
+
+/**
+ * Build the slide extraction rules for a source
+ * @param {Object} config - Configuration object (WP_SLIDESHOW_PRESET, WP_SLIDESHOW_RULES)
+ * @param {Function} report - Receives each problem with the settings (by default logged as ignored)
+ * @returns {Object} Slide rules (see SLIDESHOW_PRESETS)
+ */
+function getSlideshowRules(config = {}, report = problem => logger.warn(`Ignoring ${problem}`)) {
+    let presetName = config.WP_SLIDESHOW_PRESET || DEFAULT_PRESET;
+
+    if (!SLIDESHOW_PRESETS[presetName]) {
+        report(`unknown WP_SLIDESHOW_PRESET "${presetName}" (expected ${Object.keys(SLIDESHOW_PRESETS).join(', ')}), using ${DEFAULT_PRESET}`);
+        presetName = DEFAULT_PRESET;
+    }
+
+    let overrides = config.WP_SLIDESHOW_RULES || {};
+
+    if (typeof overrides === 'string') {
+        try {
+            overrides = JSON.parse(overrides);
+        } catch (error) {
+            report(`invalid WP_SLIDESHOW_RULES: ${error.message}`);
+            overrides = {};
+        }
+    }
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        report('WP_SLIDESHOW_RULES: expected a JSON object of rule fields');
+        overrides = {};
+    }
+
+    const rules = { ...SLIDESHOW_PRESETS[presetName] };
+    for (const [field, value] of Object.entries(overrides)) {
+        if (!(field in rules)) {
+            report(`WP_SLIDESHOW_RULES field "${field}" (expected ${Object.keys(rules).join(', ')})`);
+            continue;
+        }
+        rules[field] = value;
+    }
+
+    if (!TITLE_SOURCES.includes(rules.titleFrom)) {
+        report(`slideshow titleFrom "${rules.titleFrom}" (expected ${TITLE_SOURCES.join(', ')})`);
+        rules.titleFrom = SLIDESHOW_PRESETS[presetName].titleFrom;
+    }
+    if (!BODY_MODES.includes(rules.body)) {
+        report(`slideshow body "${rules.body}" (expected ${BODY_MODES.join(', ')})`);
+        rules.body = SLIDESHOW_PRESETS[presetName].body;
+    }
+
+    // Bad selectors would otherwise only throw when a slideshow is parsed
+    SELECTOR_FIELDS.forEach(field => {
+        const value = rules[field];
+        if (value === null && !REQUIRED_SELECTORS.includes(field)) return;
+
+        const problem = typeof value === 'string' && value.trim() !== '' ? checkSelector(value) : 'expected a CSS selector';
+        if (problem) {
+            report(`slideshow ${field} selector ${JSON.stringify(value)} (${problem})`);
+            rules[field] = SLIDESHOW_PRESETS[presetName][field];
+        }
+    });
+
+    return rules;
+}
+
+/**
+ * Check a source's slideshow settings without building the rules
+ * @param {Object} config - Configuration object (WP_SLIDESHOW_PRESET, WP_SLIDESHOW_RULES)
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+function checkSlideshowRules(config = {}) {
+    const problems = [];
+    getSlideshowRules(config, problem => problems.push(problem));
+    return problems;
+}
+
+/**
+ * Split slideshow HTML into intro HTML and slides
+ * @param {string} html - Slideshow HTML (content.rendered)
+ * @param {Object} rules - Rules from getSlideshowRules
+ * @returns {Object} { intro, slides: [{ url, title, text, description, attribution }] }
+ */
+function extractSlides(html, rules = getSlideshowRules()) {
+    const $ = cheerio.load(html || '');
+
+    // Remove all div tags but keep their content, so slide parts become siblings
+    $('div').contents().unwrap();
+
+    const bodyUntil = rules.bodyUntil || rules.slide;
+    const slides = [];
+
+    $(rules.slide).each((index, slideElement) => {
+        const $slide = $(slideElement);
+        const range = rules.body === 'none' ? [] : getRange($, $slide, bodyUntil);
+
+        // Image: in the slide itself, otherwise the first one in its range (heading-first layouts)
+        let $imageHolder = $slide;
+        let $img = $slide.is(rules.image) ? $slide : $slide.find(rules.image).first();
+        if ($img.length === 0) {
+            $imageHolder = range.find($element => $element.is(rules.image) || $element.find(rules.image).length > 0) || $();
+            $img = $imageHolder.is(rules.image) ? $imageHolder : $imageHolder.find(rules.image).first();
+        }
+
+        if ($img.length === 0) return; // Skip if no image found
+
+        const imageUrl = $img.attr('src') || $img.attr('data-src') || null;
+        const altText = $img.attr('alt') || '';
+
+        if (!imageUrl) return; // Skip if no image URL
+
+        const attribution = rules.credit ? $imageHolder.find(rules.credit).first().text().trim() : '';
+
+        let $title = $();
+        if (rules.titleFrom === 'self') {
+            $title = $slide;
+        } else if (rules.titleFrom === 'inside' && rules.title) {
+            $title = $slide.find(rules.title).first();
+        } else if (rules.title) {
+            $title = range.find($element => $element.is(rules.title)) || $();
+        }
+
+        // Body: the range after the title (or the slide), minus the element holding the image
+        let body = range;
+        if (rules.body === 'after-title' && $title.length > 0 && $title[0] !== $slide[0]) {
+            body = range.slice(range.findIndex($element => $element[0] === $title[0]) + 1);
+        }
+
+        const text = body
+            .filter($element => $element[0] !== $imageHolder[0])
+            .map($element => $.html($element))
+            .join('');
+
+        slides.push({
+            url: imageUrl,
+            title: $title.text().trim(),
+            text: text,
+            description: altText || 'Image Provided by Source',
+            attribution: attribution
+        });
+    });
+
+    return {
+        intro: getIntro($, rules.intro || rules.slide),
+        slides: slides
+    };
+}
+
+/**
+ * Collect the siblings after a slide element up to the next boundary
+ * @param {Function} $ - Loaded Cheerio document
+ * @param {Object} $slide - Slide element
+ * @param {string} until - Selector that ends the range
+ * @returns {Array<Object>} Sibling elements in document order
+ */
+function getRange($, $slide, until) {
+    const range = [];
+    let $current = $slide.next();
+
+    while ($current.length > 0 && !$current.is(until) && $current.find(until).length === 0) {
+        range.push($current);
+        $current = $current.next();
+    }
+
+    return range;
+}
+
+/**
+ * Get the HTML before the intro boundary
+ * @param {Function} $ - Loaded Cheerio document
+ * @param {string} boundary - Selector for the first element after the intro
+ * @returns {string} Intro HTML (the whole document if there is no boundary)
+ */
+function getIntro($, boundary) {
+    let $boundary = $(boundary).first();
+
+    if ($boundary.length === 0) {
+        return $('body').html();
+    }
+
+    // Nested boundaries (e.g. an image inside a gallery) end the intro at their top-level block
+    while ($boundary.parent().length > 0 && !$boundary.parent().is('body')) {
+        $boundary = $boundary.parent();
+    }
+
+    return $boundary.prevAll().get().reverse().map(element => $.html(element)).join('');
+}
+
+module.exports = {
+    SLIDESHOW_PRESETS,
+    getSlideshowRules,
+    checkSlideshowRules,
+    extractSlides
+};
@@ -0,0 +1,134 @@
+const cheerio = require('cheerio');
+const logger = require('./logger');
+const { LAZY_SRC_ATTRIBUTES } = require('./msn-sanitizer');
+
+/**
+ * Lead image sources, tried in the order given by THUMBNAIL_FALLBACKS:
+ *
+ *   featured - the source's featured image (WordPress featured media / Yoast, feed media, JSON-LD image)
+ *   og       - the page's og:image
+ *   content  - the first image in the post body
+ *   slide    - the first slideshow image
+ *   default  - the source's DEFAULT_THUMBNAIL_URL
+ */
+const THUMBNAIL_SOURCES = ['featured', 'og', 'content', 'slide', 'default'];
+
+// Parsed fallback orders, keyed by the raw setting, so invalid entries are only reported once per run
+const parsedFallbacks = new Map();
+
+/**
+ * Get the lead image fallback order for a source
+ * @param {Object} config - Configuration object (THUMBNAIL_FALLBACKS)
+ * @returns {Array<string>} Source names, in order
+ */
+function getThumbnailFallbacks(config = {}) {
+    if (!config.THUMBNAIL_FALLBACKS) {
+        return THUMBNAIL_SOURCES;
+    }
+
+    const list = Array.isArray(config.THUMBNAIL_FALLBACKS) ? config.THUMBNAIL_FALLBACKS : String(config.THUMBNAIL_FALLBACKS).split(',');
+    const cacheKey = list.join(',');
+    if (parsedFallbacks.has(cacheKey)) {
+        return parsedFallbacks.get(cacheKey);
+    }
+
+    const fallbacks = list.map(name => name.trim().toLowerCase()).filter(name => {
+        if (!THUMBNAIL_SOURCES.includes(name)) {
+            logger.warn(`Ignoring THUMBNAIL_FALLBACKS entry "${name}" (expected ${THUMBNAIL_SOURCES.join(', ')})`);
+            return false;
+        }
+        return true;
+    });
+
+    parsedFallbacks.set(cacheKey, fallbacks);
+    return fallbacks;
+}
+
+/**
+ * Pick a post's lead image from the first source in the fallback order that has a usable one
+ * @param {Object} candidates - { featured, og, content (HTML), slides (normalized images) }
+ * @param {Object} config - Configuration object (THUMBNAIL_FALLBACKS, DEFAULT_THUMBNAIL_URL, EXTERNAL_FEED_URL)
+ * @returns {Object|null} { url, source } or null if no source has an image
+ */
+function resolveThumbnail(candidates = {}, config = {}) {
+    const baseUrl = config.EXTERNAL_FEED_URL;
+
+    for (const source of getThumbnailFallbacks(config)) {
+        let value = null;
+
+        if (source === 'featured' || source === 'og') {
+            value = candidates[source];
+        } else if (source === 'content') {
+            value = findContentImage(candidates.content);
+        } else if (source === 'slide') {
+            const slide = (candidates.slides || []).find(image => image && image.url);
+            value = slide ? slide.url : null;
+        } else {
+            value = config.DEFAULT_THUMBNAIL_URL;
+        }
+
+        const url = toImageUrl(value, baseUrl);
+        if (url) {
+            return { url, source };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Find the first image in post HTML
+ * @param {string} html - Post HTML
+ * @returns {string|null} Image URL as written in the markup, or null
+ */
+function findContentImage(html) {
+    if (!html) return null;
+
+    const $ = cheerio.load(html, null, false);
+    let found = null;
+
+    $('img').each((index, element) => {
+        const $img = $(element);
+        const candidates = [...LAZY_SRC_ATTRIBUTES.map(attribute => $img.attr(attribute)), $img.attr('src')];
+        found = candidates.find(candidate => candidate && !/^data:/i.test(candidate.trim())) || null;
+        return !found; // stop at the first usable image
+    });
+
+    return found;
+}
+
+/**
+ * Turn a candidate value (URL string or { url }) into an absolute http(s) URL
+ * @param {string|Object} value - Candidate image
+ * @param {string} baseUrl - Base for relative URLs
+ * @returns {string|null} Absolute URL or null if the value isn't a usable image URL
+ */
+function toImageUrl(value, baseUrl) {
+    const raw = value && typeof value === 'object' ? value.url : value;
+    // "undefined" / "null" are what a missing value looks like once it has been through a template or JSON
+    if (typeof raw !== 'string' || /^(|undefined|null)$/i.test(raw.trim())) return null;
+
+    try {
+        const url = new URL(raw.trim(), baseUrl);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check that a lead image URL can be published
+ * @param {string} url - Lead image URL (see MSNConverter.getThumbnailUrl)
+ * @returns {boolean} True for an absolute http(s) URL
+ */
+function isImageUrl(url) {
+    return typeof url === 'string' && /^https?:\/\/[^/\s]+/i.test(url.trim());
+}
+
+module.exports = {
+    THUMBNAIL_SOURCES,
+    getThumbnailFallbacks,
+    resolveThumbnail,
+    findContentImage,
+    isImageUrl
+};
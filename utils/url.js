@@ -0,0 +1,17 @@
+/**
+ * Resolve a possibly relative URL against a base URL
+ * @param {string} url - URL or path
+ * @param {string} baseUrl - Base URL
+ * @returns {string} Absolute URL (unchanged if it can't be resolved)
+ */
+function absoluteUrl(url, baseUrl) {
+    try {
+        return new URL(url, baseUrl).toString();
+    } catch (error) {
+        return url;
+    }
+}
+
+module.exports = {
+    absoluteUrl
+};
@@ -0,0 +1,154 @@
+const cheerio = require('cheerio');
+const { absoluteUrl } = require('./url');
+
+/**
+ * Video formats MSN can play, by file extension
+ */
+const VIDEO_MIME_TYPES = {
+    mp4: 'video/mp4',
+    m4v: 'video/x-m4v',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    m3u8: 'application/x-mpegURL'
+};
+
+const PLAYABLE_MIME_TYPES = Object.values(VIDEO_MIME_TYPES);
+
+/**
+ * Work out a video's MIME type from its declared type or its URL
+ * @param {string} url - Video URL
+ * @param {string} declaredType - Type given by the source (optional)
+ * @returns {string|null} MIME type or null if it isn't a recognised video
+ */
+function getVideoMimeType(url, declaredType = '') {
+    const type = (declaredType || '').split(';')[0].trim();
+    if (type.startsWith('video/') || type.toLowerCase() === 'application/x-mpegurl') {
+        return type;
+    }
+
+    const extension = (url || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return VIDEO_MIME_TYPES[extension] || null;
+}
+
+/**
+ * Check that a video can be played by MSN: an absolute http(s) URL in a supported format
+ * @param {Object} video - Normalized video ({ url, type })
+ * @returns {string|null} Problem description or null if playable
+ */
+function checkPlayableVideo(video) {
+    if (!video || !video.url) {
+        return 'no video URL';
+    }
+
+    let protocol;
+    try {
+        protocol = new URL(video.url).protocol;
+    } catch (error) {
+        return `video URL is not absolute: ${video.url}`;
+    }
+
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        return `video URL is not http(s): ${video.url}`;
+    }
+
+    const type = getVideoMimeType(video.url, video.type);
+    if (!type || !PLAYABLE_MIME_TYPES.some(playable => playable.toLowerCase() === type.toLowerCase())) {
+        return `video is not in a playable format (${type || 'unknown type'}): ${video.url}`;
+    }
+
+    return null;
+}
+
+/**
+ * Parse a duration into whole seconds
+ * Accepts seconds ("95", 95.4), clock time ("1:35", "01:01:35") and ISO 8601 ("PT1M35S").
+ * @param {string|number} value - Duration from the source
+ * @returns {number|null} Seconds or null if missing/unparseable
+ */
+function parseDuration(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (typeof value === 'number') {
+        return value >= 0 ? Math.round(value) : null;
+    }
+
+    const text = String(value).trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Math.round(parseFloat(text));
+    }
+
+    if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+        return text.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+    }
+
+    const iso = text.match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/i);
+    if (iso && iso.slice(1).some(Boolean)) {
+        const [, days, hours, minutes, seconds] = iso.map(part => parseFloat(part) || 0);
+        return Math.round(days * 86400 + hours * 3600 + minutes * 60 + seconds);
+    }
+
+    return null;
+}
+
+/**
+ * Find the main video in article HTML (video block, [video] shortcode or a link to a video file)
+ * @param {string} html - Post HTML
+ * @param {Object} options - { baseUrl, transcriptSelector }
+ * @returns {Object|null} { url, type, duration, thumbnail, description, transcript } or null if there is no video
+ */
+function extractVideoFromHtml(html, options = {}) {
+    if (!html) return null;
+
+    const $ = cheerio.load(html);
+    const resolve = url => absoluteUrl(url, options.baseUrl);
+
+    let url = null;
+    let declaredType = '';
+    let $container = $();
+
+    const $video = $('video').first();
+    if ($video.length > 0) {
+        // Prefer an MP4 <source>; the [video] shortcode lists one per format
+        const $sources = $video.find('source[src]');
+        const $source = $sources.filter((index, element) => getVideoMimeType($(element).attr('src'), $(element).attr('type')) === 'video/mp4').first();
+        const $chosen = $source.length > 0 ? $source : $sources.first();
+
+        url = $video.attr('src') || $chosen.attr('src') || null;
+        declaredType = $video.attr('src') ? '' : $chosen.attr('type');
+        $container = $video.closest('figure').length > 0 ? $video.closest('figure') : $video;
+    }
+
+    if (!url) {
+        const $link = $('a[href]').filter((index, element) => getVideoMimeType($(element).attr('href')) !== null).first();
+        url = $link.attr('href') || null;
+        $container = $link;
+    }
+
+    if (!url) return null;
+
+    url = resolve(url);
+
+    const durationValue = $video.attr('data-duration')
+        || $('meta[itemprop="duration"]').attr('content')
+        || $container.find('[itemprop="duration"]').attr('content');
+    const thumbnail = $video.attr('poster') || $('meta[itemprop="thumbnailUrl"]').attr('content') || null;
+    const transcriptSelector = options.transcriptSelector || '.video-transcript, .transcript';
+
+    return {
+        url: url,
+        type: getVideoMimeType(url, declaredType),
+        duration: parseDuration(durationValue),
+        thumbnail: thumbnail ? resolve(thumbnail) : null,
+        description: $container.find('figcaption').text().trim(),
+        transcript: $(transcriptSelector).first().text().replace(/\s+/g, ' ').trim()
+    };
+}
+
+module.exports = {
+    VIDEO_MIME_TYPES,
+    getVideoMimeType,
+    checkPlayableVideo,
+    parseDuration,
+    extractVideoFromHtml
+};
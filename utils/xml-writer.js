@@ -0,0 +1,160 @@
+/**
+ * Minimal XML writer
+ * Builds a document from element / CDATA nodes and serializes it with correct escaping:
+ * text and attribute values are entity-escaped, CDATA sections containing "]]>" are split,
+ * and characters that XML 1.0 does not allow (control characters, lone surrogates) are dropped.
+ *
+ *   element('item', { id: 1 },
+ *       element('title', {}, cdata(post.title)),
+ *       post.author ? element('dc:creator', {}, post.author) : null)
+ *
+ * Children may be nodes, strings (text), numbers, arrays of children, or null/undefined/false (skipped).
+ * Attributes whose value is null/undefined/false are left out.
+ */
+
+// Anything outside the XML 1.0 Char production
+const INVALID_XML_CHARS = /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+/**
+ * Create an element node
+ * @param {string} name - Element name (may be prefixed, e.g. media:content)
+ * @param {Object} attributes - Attribute name to value
+ * @param {...*} children - Child nodes, text, arrays of children or empty values
+ * @returns {Object} Element node
+ */
+function element(name, attributes = {}, ...children) {
+    return {
+        type: 'element',
+        name: name,
+        attributes: attributes || {},
+        children: flattenChildren(children)
+    };
+}
+
+/**
+ * Create a CDATA node
+ * @param {string} text - Raw text (may contain markup and "]]>")
+ * @returns {Object} CDATA node
+ */
+function cdata(text) {
+    return { type: 'cdata', text: text === undefined || text === null ? '' : String(text) };
+}
+
+/**
+ * Flatten nested child lists, dropping empty values and turning strings/numbers into text nodes
+ * @param {Array} children - Children as passed to element()
+ * @returns {Array<Object>} Child nodes
+ */
+function flattenChildren(children) {
+    const nodes = [];
+
+    children.forEach(child => {
+        if (child === null || child === undefined || child === false) return;
+
+        if (Array.isArray(child)) {
+            nodes.push(...flattenChildren(child));
+        } else if (typeof child === 'object') {
+            nodes.push(child);
+        } else {
+            nodes.push({ type: 'text', text: String(child) });
+        }
+    });
+
+    return nodes;
+}
+
+/**
+ * Remove characters XML 1.0 does not allow
+ * @param {string} value - Raw text
+ * @returns {string} Text safe to put in a document
+ */
+function stripInvalidChars(value) {
+    return String(value).replace(INVALID_XML_CHARS, '');
+}
+
+/**
+ * Escape text content
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+    return stripInvalidChars(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a value for a double-quoted attribute
+ * Whitespace is escaped too, since parsers normalize literal tabs and newlines in attributes to spaces.
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+    return escapeText(value)
+        .replace(/"/g, '&quot;')
+        .replace(/\t/g, '&#9;')
+        .replace(/\n/g, '&#10;')
+        .replace(/\r/g, '&#13;');
+}
+
+/**
+ * Serialize a CDATA section, splitting it wherever the text contains "]]>"
+ * @param {string} text - Raw text
+ * @returns {string} One or more CDATA sections
+ */
+function serializeCdata(text) {
+    return `<![CDATA[${stripInvalidChars(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Serialize a node
+ * Elements holding only text/CDATA are written on one line; others get one child per line.
+ * @param {Object} node - Element, CDATA or text node
+ * @param {string} indent - Indentation unit
+ * @param {number} depth - Current nesting level
+ * @returns {string} XML
+ */
+function serializeNode(node, indent, depth) {
+    if (node.type === 'text') return escapeText(node.text);
+    if (node.type === 'cdata') return serializeCdata(node.text);
+
+    const attributes = Object.entries(node.attributes)
+        .filter(([, value]) => value !== null && value !== undefined && value !== false)
+        .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+        .join('');
+
+    if (node.children.length === 0) {
+        return `<${node.name}${attributes} />`;
+    }
+
+    if (node.children.every(child => child.type !== 'element')) {
+        return `<${node.name}${attributes}>${node.children.map(child => serializeNode(child, indent, depth + 1)).join('')}</${node.name}>`;
+    }
+
+    const padding = indent.repeat(depth);
+    const childPadding = indent.repeat(depth + 1);
+    const children = node.children.map(child => `\n${childPadding}${serializeNode(child, indent, depth + 1)}`).join('');
+
+    return `<${node.name}${attributes}>${children}\n${padding}</${node.name}>`;
+}
+
+/**
+ * Serialize a document
+ * @param {Object} root - Root element
+ * @param {Object} options - { indent, declaration } (four spaces; declaration: false serializes a fragment)
+ * @returns {string} XML document with declaration
+ */
+function toXml(root, options = {}) {
+    const indent = options.indent !== undefined ? options.indent : '    ';
+    const xml = serializeNode(root, indent, 0);
+    return options.declaration === false ? xml : `<?xml version="1.0" encoding="utf-8"?>\n${xml}\n`;
+}
+
+module.exports = {
+    element,
+    cdata,
+    toXml,
+    escapeText,
+    escapeAttribute
+};